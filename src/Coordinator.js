@@ -0,0 +1,176 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/**
+ * Class: Coordinator
+ * ------------------
+ * One per window. Every enabled PageCement instance registers here, so
+ * overlapping instances (app shell + modal) share a single set of DOM
+ * listeners and never fight over page state.
+ *
+ *   stack     – enabled instances, oldest first. The topmost instance's
+ *               configuration wins for guard events ('top' dispatch).
+ *   listeners – one real DOM listener per (target, type, capture), fanned out
+ *               to subscribers: 'all' calls every subscriber, 'top' only the
+ *               subscribers of the instance that sits highest in the stack.
+ *   resources – reference-counted page state (CSS variables, scroll lock,
+ *               ...). The first holder acquires it, the last release undoes
+ *               it, so instances may be disabled in any order.
+ *
+ * Internal: PageCement talks to it through _listen()/_claim().
+ */
+export class Coordinator {
+
+    /**
+     * Shared coordinator for `win`, created on first use.
+     * @param {Window} win
+     * @returns {Coordinator}
+     */
+    static for(win) {
+	let coord = REGISTRY.get(win);
+	if (!coord) {
+	    coord = new Coordinator(win);
+	    REGISTRY.set(win, coord);
+	}
+	return coord;
+    }
+
+    constructor(win) {
+	this.win = win;
+	this.stack = [];               // enabled instances, topmost last
+	this.entries = [];             // shared DOM listeners
+	this.resources = new Map();    // key → { holders, undo }
+    }
+
+    // On top, or back at `index` (a rebuild keeps its place)
+    push(inst, index = -1) {
+	this.remove(inst);
+	if (index >= 0 && index < this.stack.length) this.stack.splice(index, 0, inst);
+	else this.stack.push(inst);
+    }
+
+    remove(inst) {
+	const i = this.stack.indexOf(inst);
+	if (i !== -1) this.stack.splice(i, 1);
+    }
+
+    top() {
+	return this.stack[this.stack.length - 1] || null;
+    }
+
+    // Stack position; instances not (yet) pushed rank lowest
+    rank(inst) {
+	return this.stack.indexOf(inst);
+    }
+
+    /**
+     * Subscribe `handler` for `inst`. Returns an idempotent unsubscribe.
+     * @param {object} inst
+     * @param {EventTarget} target
+     * @param {string} type
+     * @param {(e: Event) => void} handler
+     * @param {AddEventListenerOptions} [options]
+     * @param {'all'|'top'} [mode='all']
+     * @returns {() => void}
+     */
+    listen(inst, target, type, handler, options = {}, mode = 'all') {
+	const capture = !!options.capture;
+	let entry = this.entries.find(en => en.target === target && en.type === type && en.capture === capture);
+	if (!entry) {
+	    entry = { target, type, capture, passive: options.passive !== false, subs: [], listener: null };
+	    entry.listener = (e) => this._dispatch(entry, e);
+	    target.addEventListener(type, entry.listener, { capture, passive: entry.passive });
+	    this.entries.push(entry);
+	} else if (entry.passive && options.passive === false) {
+	    // A subscriber needs preventDefault(): re-register non-passive
+	    target.removeEventListener(type, entry.listener, { capture });
+	    entry.passive = false;
+	    target.addEventListener(type, entry.listener, { capture, passive: false });
+	}
+
+	const sub = { inst, handler, mode };
+	entry.subs.push(sub);
+
+	return () => {
+	    const i = entry.subs.indexOf(sub);
+	    if (i === -1) return;
+	    entry.subs.splice(i, 1);
+	    if (entry.subs.length) return;
+	    target.removeEventListener(type, entry.listener, { capture });
+	    this.entries.splice(this.entries.indexOf(entry), 1);
+	};
+    }
+
+    _dispatch(entry, e) {
+	// Copy: handlers may unsubscribe (or disable their instance) mid-dispatch
+	const subs = entry.subs.slice();
+	let topInst = null;
+	for (const sub of subs) {
+	    if (sub.mode === 'all') sub.handler(e);
+	    else if (!topInst || this.rank(sub.inst) > this.rank(topInst)) topInst = sub.inst;
+	}
+	if (!topInst) return;
+	for (const sub of subs) {
+	    if (sub.mode === 'top' && sub.inst === topInst && entry.subs.includes(sub)) sub.handler(e);
+	}
+    }
+
+    /**
+     * Take a reference on shared state `key`. The first holder runs
+     * `acquire()` (which returns the undo); the last release runs the undo.
+     * When a release leaves other holders, the new owner's `onOwn` runs so it
+     * can re-apply its own values.
+     * @param {string} key
+     * @param {object} inst
+     * @param {() => (() => void)} acquire
+     * @param {() => void} [onOwn]
+     * @returns {() => void} idempotent release
+     */
+    claim(key, inst, acquire, onOwn) {
+	let res = this.resources.get(key);
+	if (!res) {
+	    res = { holders: [], undo: null };
+	    this.resources.set(key, res);
+	    res.undo = acquire();
+	}
+	const holder = { inst, onOwn };
+	res.holders.push(holder);
+
+	return () => {
+	    const i = res.holders.indexOf(holder);
+	    if (i === -1) return;
+	    const wasOwner = this.owner(key) === inst;
+	    res.holders.splice(i, 1);
+	    if (!res.holders.length) {
+		this.resources.delete(key);
+		if (typeof res.undo === 'function') res.undo();
+		return;
+	    }
+	    if (wasOwner) {
+		const next = this._ownerHolder(res);
+		if (next && typeof next.onOwn === 'function') next.onOwn();
+	    }
+	};
+    }
+
+    /** Topmost instance holding `key`, or null. */
+    owner(key) {
+	const res = this.resources.get(key);
+	const holder = res && this._ownerHolder(res);
+	return holder ? holder.inst : null;
+    }
+
+    _ownerHolder(res) {
+	let best = null;
+	for (const h of res.holders) {
+	    if (!best || this.rank(h.inst) >= this.rank(best.inst)) best = h;
+	}
+	return best;
+    }
+}
+
+const REGISTRY = new WeakMap();
+
+export default Coordinator;
@@ -3,13 +3,18 @@
  * License: MTL-10 (see LICENSE.md)
  */
 
+import { Coordinator } from './Coordinator.js';
+import { ALLOW_ATTR, REGION_ATTR, parseRegionAttr } from './declarative.js';
+import { compileGuards, matchGuard } from './guards.js';
+import { DEFAULT_KEYBOARD_COMBOS, compileShortcuts, describeEvent, isMacLike, matchShortcut } from './shortcuts.js';
+
 /*
 PageCement – Prevent accidental zooming and manage viewport height CSS vars
 ===========================================================================
 
 USAGE (class API)
 -----------------
-import PageCement from 'vendor/pageCement/index.js';
+import PageCement from 'vendor/pageCement/src/index.js';
 
 // 1) Basic: set --vh and curb accidental zoom
 const cement = new PageCement();
@@ -22,16 +27,32 @@ cement2.enable();
 // 3) Custom CSS variable name
 new PageCement({ cssVarName: '--app-vh' }).enable();
 
-// 4) Keyboard combo blocking
-new PageCement({
-    keyboardCombos: [
-        { mods: { ctrl: true }, key: '+' },
-        { mods: { ctrl: true }, key: '-' },
-    ]
-}).enable();
+// 4) Keyboard combo blocking (Mod = Cmd on macOS, Ctrl elsewhere)
+new PageCement({ keyboardCombos: ['Mod+=', 'Mod+-', 'Mod+0', 'F5'] }).enable();
+
+// 5) Block every Ctrl/Cmd combo except copy & paste
+new PageCement({ keyboardMode: 'allow', keyboardCombos: ['Mod+C', 'Mod+V'] }).enable();
+
+// 6) Kiosk: no reload, history navigation, printing or find bar
+new PageCement({ guards: ['zoom', 'reload', 'navigation', 'print', 'find'] }).enable();
+
+// 7) Reconfigure without a teardown (returns the options that changed)
+cement.updateOptions({ lockScroll: true, cssVarName: '--app-vh' });
+
+// 8) No bundler: configure from markup and load the auto-init entry point
+// <html data-cement='{"lockScroll": true}'> … <div data-cement-region="zoom">
+// <script type="module" src="vendor/pageCement/src/auto.js"></script>
+
+// 9) Container height in a variable (ResizeObserver, same frame as --vh)
+cement.observe(document.querySelector('.pane'), { varName: '--pane-h' });
+
+// 10) Server rendering: set --vh in <head> before the bundle loads;
+// enable() adopts it without a flicker
+res.write(`<head>${PageCement.headSnippet({ nonce: cspNonce })}…</head>`);
 
 // CSS:
 // .full-height { height: calc(var(--vh, 1vh) * 100); }
+// or let injectStyles add .cement-full-height and friends (see OPTIONS)
 
 // Teardown (e.g., on unmount):
 cement.controller.destroy(); // or cement.disable();
@@ -42,41 +63,358 @@ OPTIONS
 allow: string | string[]
     CSS selector(s) for regions where zooming is allowed.
     May be a single selector or an array of selectors.
+    Elements and ShadowRoots are accepted too (a ShadowRoot allows everything
+    inside it). Selectors can reach into open shadow trees with '>>>':
+    'my-editor >>> .canvas' is a .canvas inside my-editor's shadow root.
+
+regions: Array<{ selector, zoom?, scroll?, keys?, contextMenu?, selection? }>
+    Fine-grained policies per region, e.g.
+        { selector: '.map', zoom: true, scroll: true, keys: ['Ctrl+='] }
+        { selector: '.editor', keys: 'all', zoom: false }
+    selector: CSS selector ('>>>' as in `allow`), Element or ShadowRoot.
+    root:     ShadowRoot (or its host) to match `selector` in, e.g. one
+              component instance. Events never expose the inside of closed
+              shadow roots; use the host element as the region for those.
+    zoom:     allow Ctrl+wheel and pinch zoom inside.
+    scroll:   allow scrolling inside (consulted by scroll-lock guards and
+              the overscroll / pullToRefresh / edgeSwipe guards).
+    keys:     'all', or shortcuts ('Ctrl+=' strings or { mods, key }) that may
+              pass; anything else blocked by keyboardCombos stays blocked.
+    contextMenu, selection: exempt from the guards of the same name.
+    Omitted fields are false. The nearest region around the event target
+    wins, counting through shadow hosts and same-origin <iframe>s; on the
+    same element the more specific selector (then the later entry) wins.
+    `allow` entries behave like regions that permit everything.
+
+inputZoom: 'block' | 'allow' | 'allow-and-restore'
+    Pinch zoom while a typable element (<input>, <textarea>, <select>,
+    [contenteditable]) has focus:
+        'block'             – treat it like anywhere else (default).
+        'allow'             – let the pinch through.
+        'allow-and-restore' – let it through, then snap back to scale 1 when
+                              focus leaves typable elements (iOS also zooms on
+                              focus by itself). Briefly clamps the viewport
+                              meta tag; the original tag is put back.
+
+debug: boolean
+    Log blocks, allows and --vh updates through `logger`. Default: false.
+
+logger: { debug?, warn?, log? }
+    Where debug output goes. Default: console.
+
+onBeforeBlock: (payload) => boolean | void
+    Called before anything is blocked; return false to let the event through.
 
 cssVarName: string
     CSS variable name to use for viewport height units.
     Default: "--vh"
 
+cssVars: true | { [metric]: string | true | false }
+    Extra viewport variables, all written in the same rAF commit as --vh and
+    restored on destroy(). true enables every metric with its default name;
+    an object picks metrics (true = default name, string = custom name).
+        vh         --vh              1% of visible height (follows cssVarName)
+        vw         --vw              1% of visible width
+        svh        --svh             1% of smallest height seen (URL bar shown)
+        lvh        --lvh             1% of largest height seen (URL bar hidden)
+        offsetTop  --vv-offset-top   visualViewport.offsetTop (px)
+        offsetLeft --vv-offset-left  visualViewport.offsetLeft (px)
+        scale      --vv-scale        visualViewport.scale (unitless)
+        safeTop/Right/Bottom/Left    --safe-top … resolved env(safe-area-inset-*)
+        keyboardInset --keyboard-inset on-screen keyboard height (px)
+    svh/lvh reset when the width changes (rotation, window resize).
+    keyboardInset is added automatically when detectKeyboard is on.
+
+detectKeyboard: boolean
+    Detect the on-screen keyboard by comparing the layout viewport with the
+    visual viewport. Exposes `cement.keyboard` ({ isOpen, height }), emits
+    'keyboardchange' and writes --keyboard-inset. Default: false.
+
+keyboardThreshold: number
+    Viewport loss (px) that counts as an open keyboard. Default: 150.
+
+freezeVHOnKeyboard: boolean
+    Keep --vh at its pre-keyboard value while the keyboard is open, so
+    full-height shells don't collapse. Default: false.
+
+virtualKeyboard: boolean
+    With detectKeyboard, use the VirtualKeyboard API where available. This
+    sets navigator.virtualKeyboard.overlaysContent (restored on destroy): the
+    keyboard then overlays the page instead of resizing it, so lay out with
+    --keyboard-inset. Default: true.
+
 lockScroll: boolean
-    If true, disables scroll when enabled.
+    If true, locks page scroll while enabled: the body is pinned with
+    position:fixed at the current offset (works on iOS Safari), the scrollbar
+    width is compensated and overscroll-behavior is set to none. Unlocking
+    restores inline styles and the scroll position. Touch scrolling still
+    works inside regions with `scroll` and in elements that scroll by
+    themselves. Toggle at runtime with lockScroll()/unlockScroll().
+
+blockPinch: boolean
+    Block two-finger pinch zoom on touchmove, for browsers without Safari's
+    gesture events (Chrome, Firefox). Default: true.
+
+blockDoubleTap: boolean
+    Block double-tap zoom: a second tap within 300 ms and 30 px of the first
+    is cancelled on touchend (so that tap does not click either). Typable
+    and interactive elements (links, buttons, labels, [role=button],
+    [onclick], ...) are exempt, so quick repeated taps on them all click;
+    touchAction: 'manipulation' covers those too. Default: true.
+
+touchAction: string
+    Set `touch-action` on <html> while enabled, e.g. 'manipulation' (no
+    double-tap zoom, no tap delay) or 'pan-x pan-y' (no pinch). Applies to
+    the whole page: regions cannot opt back in. Restored on destroy.
+
+viewportMeta: boolean | object
+    Manage <meta name="viewport"> while enabled (created if missing).
+        true   – width=device-width, initial-scale=1, maximum-scale=1,
+                 user-scalable=no, viewport-fit=cover,
+                 interactive-widget=resizes-content
+        object – camelCase keys merged over the existing content, e.g.
+                 { viewportFit: 'cover', interactiveWidget: 'resizes-content' };
+                 booleans become yes/no, null drops a key.
+    destroy() restores the exact original content, or removes the tag if
+    PageCement created it. Change it at runtime with setViewportMeta().
+    Note maximum-scale=1 also stops zoom inside allowed regions on mobile.
+
+scrollbarGutter: boolean
+    With lockScroll, reserve the scrollbar with `scrollbar-gutter: stable`
+    instead of padding the body. Default: false.
 
 maxZoom: number
     Maximum zoom factor allowed. Default: 1.
 
+minZoom: number
+    Ctrl+wheel zoom-out is blocked once devicePixelRatio is at or below this.
+    Default: 0 (never).
+
+autoResetZoom: boolean
+    Call resetZoom() on enable(), fixing pinch zoom left over from before.
+    Default: false.
+
 useVisualViewport: boolean
     Use window.visualViewport if available.
     Default: true
 
-keyboardCombos: false | true | Array<{ mods?: object, key: string }>
+keyboardCombos: false | true | 'zoom' | string | Array<string | { mods?: object, key: string }>
     Controls which keyboard shortcuts to block:
         false – Do not block any keypresses.
         true – Block ANY keypress with Ctrl or Meta held.
-        Array – Block only specific combos.
-            mods: object with modifier keys and boolean values.
-                  Omitted modifiers are treated as "don't care".
-            key:  String name of the key to match (case-sensitive).
-
-
-FUTURE WORK
------------
-- Configurable "insideAllowed" logic:
-    Option to choose whether "inside allowed" is determined by event.target,
-    last pointer location, or hybrid mode.
-- Zoom exceptions for typable elements:
-    Allow zoom inside <input>, <textarea>, and [contenteditable], then optionally
-    revert after blur.
-- Mouse-position aware key filtering:
-    Track pointer location to refine blocking when event.target is unreliable.
+        'zoom' – The default zoom combos: Mod+=, Mod++, Mod+-, Mod+0.
+        Array (or a single entry) – Block only these combos:
+            'Mod+Shift+=', 'Alt+ArrowLeft', 'F5', 'Mod+KeyR' …
+                Mod is Cmd on macOS/iOS and Ctrl elsewhere. Matched by
+                e.key (with numpad/legacy spellings) or, for code tokens
+                like 'KeyR'/'Equal', by physical e.code. Full syntax in
+                shortcuts.js.
+            { mods, key } (legacy):
+                mods: object with modifier keys and boolean values.
+                      Omitted modifiers are treated as "don't care".
+                key:  String name of the key to match (case-sensitive).
+    Parsed once at enable().
+
+keyboardMode: 'block' | 'allow'
+    'block' – keyboardCombos is a blocklist (default).
+    'allow' – keyboardCombos is an allowlist: every Mod combo (Cmd on
+              macOS, Ctrl elsewhere) is blocked except the listed ones, so
+              the macOS Ctrl+A / Ctrl+E / Ctrl+K editing keys keep working.
+    keyboardCombos: true still blocks every Ctrl and every Cmd combo.
+
+guards: string[]
+    Named shortcut presets, blocked on top of keyboardCombos (whatever its
+    mode, even false). Shortcut lists live in guards.js (GUARD_PRESETS):
+        'zoom'         – Mod with =, +, - and 0.
+        'reload'       – F5, Ctrl/Shift+F5, Mod+R, Mod+Shift+R.
+        'navigation'   – Alt+Left/Right (Cmd+[ / Cmd+] on macOS), browser
+                         back/forward keys; Backspace (and Cmd+Left/Right
+                         on macOS) only outside inputs.
+        'print'        – Mod+P, Mod+Shift+P.
+        'find'         – Mod+F, Mod+G, Mod+Shift+G, F3, Shift+F3.
+        'save'         – Mod+S, Mod+Shift+S.
+        'selectAll'    – Mod+A outside inputs.
+        'devtools'     – F12, Ctrl+Shift+I/J/C/K, Ctrl+U (Cmd+Alt+… on
+                         macOS). Most browsers never let pages cancel these.
+        'beforeunload' – ask "Leave site?" before the page unloads. Return
+                         false from onBeforeBlock to skip the prompt (e.g.
+                         when nothing is unsaved).
+    Regions with `keys` let guarded shortcuts through like any other.
+
+    Touch and page guards (regions opt back in with `scroll`, `contextMenu`
+    or `selection`):
+        'overscroll'    – rubber-band and scroll chaining past the top or
+                          bottom of the page (overscroll-behavior: none, plus
+                          a touchmove check for older Safari).
+        'pullToRefresh' – pulling down at the top of the page
+                          (overscroll-behavior-y: none + touchmove check).
+        'edgeSwipe'     – horizontal swipes starting within 24 px of the left
+                          or right edge (overscroll-behavior-x: none +
+                          touchmove check). The system back swipe in iOS
+                          Safari is not always cancellable.
+        'contextMenu'   – contextmenu events (except on inputs) and the iOS
+                          long-press callout (-webkit-touch-callout: none,
+                          page-wide).
+        'selection'     – selectstart outside inputs and contenteditable.
+    Inner elements that can still scroll in the swipe direction keep their
+    touches. Inline styles are restored on destroy().
+    Unknown names are ignored with a warning.
+
+iframes: boolean
+    Also guard same-origin <iframe>s (wheel, keys, pinch / double-tap,
+    gestures, contextMenu / selection guards), including frames that load
+    later. Events inside a frame follow the region around the <iframe>.
+    Cross-origin frames can't be reached. Default: false.
+
+targetMode: 'target' | 'focus' | 'pointer' | 'hybrid'
+    Which element decides whether an event is "inside allowed":
+        'target'  – event.target (default). Keys nearly always resolve to body.
+        'focus'   – the focused element, falling back to event.target.
+        'pointer' – keys use the last element under the pointer; wheel and
+                    touch use their own target (they happen at the pointer).
+        'hybrid'  – keys use real focus first, then the pointer.
+    Pointer tracking is only wired for 'pointer' and 'hybrid'.
+
+markup: boolean
+    Honour data-cement-allow and data-cement-region="zoom scroll keys
+    contextMenu selection" attributes as regions (see declarative.js). They
+    resolve like `allow` / `regions` entries, including elements added
+    later; explicit entries win ties. Default: true.
+
+allowStrategy: 'auto' | 'match' | 'observe'
+    How selector entries in `allow` follow DOM changes:
+        'match'   – test the event target with closest() on every check.
+        'observe' – cache matches; a MutationObserver drops the cache.
+        'auto'    – 'match' where closest() exists, else 'observe' (default).
+    Element entries are checked directly; detached ones are ignored.
+    Use addAllowed()/removeAllowed() to change the list at runtime.
+
+a11y: boolean | { shortcut?, attempts?, within?, message?, announce?, storageKey? }
+    Accessibility escape hatch: lets users who need zoom turn the zoom
+    blocking off for the rest of the browser session. Zoom is unlocked when
+        - the user presses `shortcut` (default 'Alt+Shift+Z'; false = none),
+        - `attempts` zoom attempts (default 3; 0 = never) are blocked within
+          `within` ms (default 10000). A burst of wheel / key-repeat events
+          counts once.
+        - or on unlockZoom(), e.g. from an "Enable zoom" button.
+    The change is announced through a polite ARIA live region (`message`,
+    `announce: false` to stay silent), remembered in sessionStorage under
+    `storageKey` (default 'pageCement:zoomUnlocked') and honoured by every
+    instance on the page, with `a11y` or not. The shortcut and the attempt
+    count work whichever instance is on top and does the blocking.
+    Unlocked, Ctrl+wheel, zoom keys, pinch, double-tap and gesture zoom
+    pass (allowedBy 'a11y'), the managed viewport meta drops maximum-scale /
+    user-scalable, `touchAction` gains pinch-zoom, and zoom is no longer
+    snapped back. Default: false.
+
+injectStyles: boolean | 'adopted' | { mode?: 'style' | 'adopted', nonce? }
+    Add a small sheet of utility classes while enabled:
+        .cement-full-height      height: 100dvh
+        .cement-min-full-height  min-height: 100dvh
+        .cement-keyboard-height  100dvh less the on-screen keyboard
+        .cement-safe-area        padding: env(safe-area-inset-*)
+    Browsers without dvh units get calc(var(--vh, 1vh) * 100) and the
+    --keyboard-inset variable instead (under their configured names). The
+    sheet is a <style> in <head> (`nonce` for CSP) or, with 'adopted', a
+    constructed sheet in document.adoptedStyleSheets (falls back to
+    <style> where unsupported). Removed on destroy(). Default: false.
+
+features: string[] | { [name]: boolean }
+    Which sections to wire. Each is a registered feature (see FEATURES &
+    PLUGINS); by default all of them. An array wires exactly those, an
+    object switches single ones on or off:
+        ['viewport']                      – only --vh and friends
+        ['wheel', 'keys', 'touch', 'gesture'] – only the zoom guards
+        { scrollLock: false }             – everything but the scroll lock
+    Features a listed one needs are added. Unknown names are ignored with a
+    warning. The options of a feature left out do nothing.
+
+window / document: Window / Document
+    Environment to work in instead of the globals: a popup, a same-origin
+    frame, or a test double (see testing.js). Either is enough, the other
+    is derived. Fixed at construction; updateOptions() ignores them.
+
+
+EVENTS
+------
+cement.on('block' | 'allow' | 'vh' | 'keyboardchange' | 'zoomchange' | 'zoomunlock', fn)
+returns an unsubscribe function;
+cement.off(type, fn) removes a listener. Listeners survive disable()/enable().
+
+block / allow payload:
+    reason    – 'ctrl-wheel' | 'key-combo' | 'guard' | 'gesture' | 'pinch' |
+                'double-tap' | 'scroll-lock' | 'overscroll' |
+                'pull-to-refresh' | 'edge-swipe' | 'context-menu' | 'selection'
+    guard     – ('guard' only) preset name: 'reload', 'beforeunload', ...
+    target    – element the decision was made for (see targetMode)
+    combo     – matched shortcut for key combos ('Mod+=', or the pressed
+                'Ctrl+K' in true/allowlist mode), else null
+    dpr       – window.devicePixelRatio
+    scale     – visualViewport.scale (1 when unavailable)
+    event     – the DOM event
+    allowedBy – ('allow' only) 'region' | 'input' | 'veto' | 'a11y'
+
+zoomchange payload: { scale, dpr, browserZoom, pinch, browser } – see
+    `cement.zoom`.
+
+zoomunlock payload: { source } – 'shortcut', 'attempts' or 'api' (a11y).
+
+keyboardchange payload: { isOpen, height, source } – source is
+    'virtualKeyboard' or 'visualViewport'.
+
+vh payload: { value, cssVarName, metrics, dpr, scale } – emitted when --vh
+    changes; `metrics` holds every value from the same commit.
+
+MULTIPLE INSTANCES
+------------------
+Instances on the same window share one set of listeners through a per-window
+coordinator. The most recently enabled instance is on top: its configuration
+decides wheel, key, gesture and scroll-lock guards; updateOptions() keeps an
+instance where it is, even when it rewires. Scroll locks and CSS
+variables are reference-counted, so instances can be disabled in any order
+and the page ends up exactly as it was before the first one.
+
+FEATURES & PLUGINS
+------------------
+enable() wires the allow-region resolver, then every feature in the
+`features` option in registration order. Built in:
+    viewport      – CSS variables, resize / visualViewport, observe()
+    keyboard      – on-screen keyboard detection (needs viewport)
+    styles        – utility stylesheet (`injectStyles`; needs viewport)
+    zoomTracking  – devicePixelRatio changes ('zoomchange')
+    wheel         – Ctrl+wheel zoom
+    keys          – keyboardCombos and the shortcut guards
+    touchStart    – first-finger target and policy, used by the touch features
+    gesture       – iOS gesture* pinch
+    touch         – pinch / double-tap elsewhere, touchAction
+    pageGuards    – beforeunload, overscroll, pullToRefresh, edgeSwipe,
+                    contextMenu and selection guards
+    frames        – same-origin iframes (`iframes`)
+    inputZoom     – zoom restore after typing (`inputZoom`)
+    viewportMeta  – managed <meta name="viewport"> (`viewportMeta`)
+    scrollLock    – `lockScroll`
+
+PageCement.use(plugin) adds one for every instance, from its next enable():
+
+    PageCement.use({
+        name: 'noDrop',
+        setup(state, ctx) {
+            const off = ctx.listen(ctx.document, 'drop', (e) => {
+                const target = ctx.eventTarget(e, 'pointer');
+                if (!ctx.policyFor(target).zoom) ctx.block(e, 'drop', target);
+            }, { passive: false }, 'top');
+            return off;   // teardown; or push onto ctx.cleanup
+        },
+    });
+
+setup(state, ctx) gets the instance's state bag (state.opts holds every
+option, unknown ones included) and a context with the same plumbing the
+built-ins use: listen() (shared listeners, 'top' = only the topmost
+instance), claim() (reference-counted page state), policyFor() (region
+resolver), eventTarget(), block() / allow() (onBeforeBlock veto and
+'block' / 'allow' events), refresh(), log(), cleanup (LIFO teardown stack),
+window, document and cement. Plugins have `default: false` to be opt-in
+through `features`, and `requires: ['touchStart']` for dependencies.
 
 VERSION
 -------
@@ -85,18 +423,114 @@ VERSION
 
 /**
  * @typedef {Object} PageCementOptions
- * @property {string|string[]|Element|Element[]} [allow]
- *    CSS selector(s) or Element(s) where zoom is allowed.
+ * @property {string|string[]|Element|Element[]|ShadowRoot} [allow]
+ *    CSS selector(s) ('a >>> b' pierces shadow roots), Element(s) or ShadowRoot(s) where zoom is allowed.
+ * @property {Array<PageCementRegion>} [regions]
+ *    Per-region policies; nearest region wins, then specificity.
  * @property {string|string[]} [watch]
  *    Alias of `allow` for back-compat with old selector-only configs.
  * @property {number} [maxZoom=1]
  *    Max devicePixelRatio before blocking zoom-in.
+ * @property {number} [minZoom=0]
+ *    Min devicePixelRatio before blocking zoom-out (0 = never).
+ * @property {boolean} [autoResetZoom=false]
+ *    resetZoom() on enable().
  * @property {boolean} [lockScroll=false]
- *    If true, sets body overflow:hidden while enabled.
+ *    If true, pins the body (iOS-safe scroll lock) while enabled.
+ * @property {boolean} [blockPinch=true]
+ *    Block multi-touch pinch zoom on touchmove.
+ * @property {boolean} [blockDoubleTap=true]
+ *    Block double-tap zoom (timing + distance).
+ * @property {string} [touchAction]
+ *    CSS touch-action for <html> while enabled.
+ * @property {boolean|Object<string, string|number|boolean|null>} [viewportMeta=false]
+ *    Manage the viewport meta tag while enabled (see OPTIONS).
+ * @property {boolean} [scrollbarGutter=false]
+ *    Compensate the scrollbar with `scrollbar-gutter` instead of padding.
  * @property {boolean} [useVisualViewport=true]
  *    Use VisualViewport for more accurate `--vh` on mobile.
  * @property {string} [cssVarName='--vh']
  *    CSS variable to write the computed 1vh (in px) to.
+ * @property {true|Object<string, string|boolean>} [cssVars]
+ *    Extra viewport metrics to expose as CSS variables (see OPTIONS).
+ * @property {boolean} [detectKeyboard=false]
+ *    Track the on-screen keyboard (`cement.keyboard`, 'keyboardchange', --keyboard-inset).
+ * @property {number} [keyboardThreshold=150]
+ *    Viewport loss in px that counts as an open keyboard.
+ * @property {boolean} [freezeVHOnKeyboard=false]
+ *    Hold --vh while the keyboard is open.
+ * @property {boolean} [virtualKeyboard=true]
+ *    Prefer the VirtualKeyboard API (sets overlaysContent) when detecting.
+ * @property {boolean|string|Array<string|{mods?: object, key: string}>} [keyboardCombos=false]
+ *    Shortcuts to block (or allow, with keyboardMode 'allow'); see OPTIONS.
+ * @property {'block'|'allow'} [keyboardMode='block']
+ *    Whether keyboardCombos is a blocklist or an allowlist.
+ * @property {string[]} [guards]
+ *    Named guards: shortcut presets ('reload', 'navigation', ...), 'beforeunload'
+ *    and page guards ('overscroll', 'pullToRefresh', 'edgeSwipe', 'contextMenu', 'selection').
+ * @property {boolean} [markup=true]
+ *    Treat data-cement-allow / data-cement-region attributes as regions.
+ * @property {boolean} [iframes=false]
+ *    Guard same-origin iframes too.
+ * @property {'target'|'focus'|'pointer'|'hybrid'} [targetMode='target']
+ *    How the element for allow-region checks is resolved (see OPTIONS).
+ * @property {'block'|'allow'|'allow-and-restore'} [inputZoom='block']
+ *    Zoom handling while a typable element has focus (see OPTIONS).
+ * @property {boolean} [debug=false]
+ *    Log decisions through `logger`.
+ * @property {{debug?: Function, warn?: Function, log?: Function}} [logger=console]
+ *    Pluggable logger for debug output.
+ * @property {(payload: object) => (boolean|void)} [onBeforeBlock]
+ *    Return false to veto a block.
+ * @property {'auto'|'match'|'observe'} [allowStrategy='auto']
+ *    How allow selectors track DOM changes (see OPTIONS).
+ * @property {boolean|{shortcut?: string|false, attempts?: number, within?: number, message?: string, announce?: boolean, storageKey?: string}} [a11y=false]
+ *    Session zoom unlock by shortcut or after repeated blocked zooms (see OPTIONS).
+ * @property {boolean|'adopted'|{mode?: 'style'|'adopted', nonce?: string}} [injectStyles=false]
+ *    Utility classes (.cement-full-height, ...) with dvh and --vh fallbacks.
+ * @property {string[]|Object<string, boolean>} [features]
+ *    Features to wire (see FEATURES & PLUGINS); default: all.
+ * @property {Window} [window]
+ *    Window to work in instead of the global one (constructor only).
+ * @property {Document} [document]
+ *    Document to work in; defaults to `window.document` (constructor only).
+ */
+
+/**
+ * @typedef {Object} PageCementRegion
+ * @property {string|Element|ShadowRoot} selector  Where the policy applies.
+ * @property {ShadowRoot|Element} [root]  Match `selector` inside this shadow root.
+ * @property {boolean} [zoom=false]      Allow Ctrl+wheel / pinch zoom.
+ * @property {boolean} [scroll=false]    Allow scrolling.
+ * @property {'all'|true|false|Array<string|{mods?: object, key: string}>} [keys=false]
+ *    Keys that may pass even when `keyboardCombos` would block them.
+ * @property {boolean} [contextMenu=false]  Exempt from the contextMenu guard.
+ * @property {boolean} [selection=false]    Exempt from the selection guard.
+ */
+
+/**
+ * @typedef {Object} PageCementFeature
+ * @property {string} name               Unique; what `features` refers to.
+ * @property {(state: object, ctx: PageCementFeatureContext) => ((() => void)|void)} setup
+ *    Wire the feature; return its teardown (or push onto ctx.cleanup).
+ * @property {boolean} [default=true]    Wired when `features` doesn't say.
+ * @property {string[]} [requires]       Features to wire along with it.
+ */
+
+/**
+ * @typedef {Object} PageCementFeatureContext
+ * @property {PageCement} cement
+ * @property {Window} window
+ * @property {Document} document
+ * @property {(() => void)[]} cleanup    Teardown stack, run LIFO on destroy.
+ * @property {(target: EventTarget, type: string, handler: Function, options?: AddEventListenerOptions, mode?: 'all'|'top') => (() => void)} listen
+ * @property {(key: string, acquire: () => (() => void), onOwn?: () => void) => (() => void)} claim
+ * @property {(target: Node|null) => {zoom: boolean, scroll: boolean, keys: any, contextMenu: boolean, selection: boolean}} policyFor
+ * @property {(e: Event, kind?: 'pointer'|'key') => (Node|null)} eventTarget
+ * @property {(e: Event, reason: string, target: Node|null, extra?: object) => boolean} block
+ * @property {(e: Event, reason: string, target: Node|null, allowedBy?: string, extra?: object) => void} allow
+ * @property {() => void} refresh
+ * @property {(level: 'debug'|'warn'|'log', msg: string, data?: any) => void} log
  */
 
 /**
@@ -116,39 +550,417 @@ VERSION
  *   .enable(runOpts?: Partial<PageCementOptions>): boolean
  *   .refresh(): boolean
  *   .disable(): boolean
+ *   .resetZoom(): boolean
+ *   .unlockZoom(): boolean
+ *   .setViewportMeta(partial | false): boolean
+ *   .lockScroll(): boolean
+ *   .unlockScroll(): boolean
+ *   .on(type, fn): () => boolean
+ *   .off(type, fn): boolean
+ *   .addAllowed(elOrSelector): boolean
+ *   .removeAllowed(elOrSelector): boolean
+ *   .observe(element, { varName, axis }?): boolean
+ *   .unobserve(element, varName?): boolean
+ *   .updateOptions(partial): string[]
+ *   PageCement.use(plugin: PageCementFeature): boolean
+ *   PageCement.features: string[]
+ *   PageCement.headSnippet(opts?): string
  *
  * Instance fields:
  *   enabled: boolean
+ *   keyboard: { isOpen, height }   // getter; detectKeyboard only
+ *   zoom: { scale, dpr, browserZoom, pinch, browser }   // getter
  *   controller: PageCementController | null   // internal controller used by disable/destroy
  *   isSSR: boolean
  *   opts: PageCementOptions
  *   _state: internal state bag (handlers/cleanup/cache)
  */
 
+const TARGET_MODES = ['target', 'focus', 'pointer', 'hybrid'];
+
+// Region policies. Legacy `allow` regions permit everything; outside any
+// region nothing is permitted.
+const ALLOW_ALL = Object.freeze({ zoom: true, scroll: true, keys: 'all', contextMenu: true, selection: true });
+const NO_POLICY = Object.freeze({ zoom: false, scroll: false, keys: false, contextMenu: false, selection: false });
+
+// Metric → default variable name for `cssVars: true`
+const DEFAULT_CSS_VARS = {
+    vh: '--vh',                   // 1% of the visible height
+    vw: '--vw',                   // 1% of the visible width
+    svh: '--svh',                 // 1% of the smallest height seen (URL bar shown)
+    lvh: '--lvh',                 // 1% of the largest height seen (URL bar hidden)
+    offsetTop: '--vv-offset-top', // visualViewport.offsetTop
+    offsetLeft: '--vv-offset-left',
+    scale: '--vv-scale',          // visualViewport.scale (unitless)
+    safeTop: '--safe-top',        // env(safe-area-inset-*) resolved to px
+    safeRight: '--safe-right',
+    safeBottom: '--safe-bottom',
+    safeLeft: '--safe-left',
+    keyboardInset: '--keyboard-inset', // on-screen keyboard height (detectKeyboard)
+};
+
+// `cssVars` option → { metric: varName }. `vh` always follows cssVarName
+// unless cssVars.vh renames it or sets it to false. detectKeyboard adds
+// keyboardInset unless cssVars mentions it.
+function resolveCssVars(opt, cssVarName, detectKeyboard = false) {
+    const out = { vh: cssVarName };
+    if (detectKeyboard && !('keyboardInset' in Object(opt))) out.keyboardInset = DEFAULT_CSS_VARS.keyboardInset;
+    if (!opt) return out;
+    const wanted = opt === true ? DEFAULT_CSS_VARS : opt;
+    for (const metric in DEFAULT_CSS_VARS) {
+	if (!(metric in wanted)) continue;
+	const name = wanted[metric];
+	if (name === false || name == null) {
+	    if (metric === 'vh' && name === false) delete out.vh;
+	    continue;
+	}
+	if (metric === 'vh' && opt === true) continue; // keep cssVarName
+	out[metric] = typeof name === 'string' ? name : DEFAULT_CSS_VARS[metric];
+    }
+    return out;
+}
+
+// headSnippet(): metric → [inline script value, no-JS fallback, fallback
+// where dvh units exist]. Same formulas as _calcMetrics() on a fresh page
+// (`v` is the visualViewport, if used); safe areas need <body>, so they wait.
+const SNIPPET_METRICS = {
+    vh: ['(v?v.height:w.innerHeight)*.01+"px"', '1vh', '1dvh'],
+    vw: ['(v?v.width:w.innerWidth)*.01+"px"', '1vw', null],
+    svh: ['w.innerHeight*.01+"px"', '1vh', '1svh'],
+    lvh: ['w.innerHeight*.01+"px"', '1vh', '1lvh'],
+    offsetTop: ['(v?v.offsetTop:0)+"px"', '0px', null],
+    offsetLeft: ['(v?v.offsetLeft:0)+"px"', '0px', null],
+    scale: ['String(v?v.scale:1)', '1', null],
+    keyboardInset: ['"0px"', '0px', null],
+};
+// Variables the head snippet wrote, on <html>; enable() adopts them
+const SSR_ATTR = 'data-cement-ssr';
+const CSS_VAR_NAME = /^--[\w-]+$/;
+
+const escapeAttr = (v) => String(v).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// injectStyles sheet for the resolved variable names: native dynamic
+// units where supported, the variables elsewhere. `subtractKeyboard` when
+// --vh doesn't end at the keyboard by itself.
+function utilityStyles(vars, subtractKeyboard) {
+    const vh = `var(${vars.vh || DEFAULT_CSS_VARS.vh},1vh)`;
+    const kb = vars.keyboardInset ? `var(${vars.keyboardInset},0px)` : '0px';
+    const aboveKeyboard = subtractKeyboard && vars.keyboardInset ? `calc(${vh}*100 - ${kb})` : `calc(${vh}*100)`;
+    return `.cement-full-height{height:calc(${vh}*100)}`
+	+ `.cement-min-full-height{min-height:calc(${vh}*100)}`
+	+ `.cement-keyboard-height{height:${aboveKeyboard}}`
+	+ '.cement-safe-area{padding:env(safe-area-inset-top,0px) env(safe-area-inset-right,0px)'
+	+ ' env(safe-area-inset-bottom,0px) env(safe-area-inset-left,0px)}'
+	+ '@supports (height:100dvh){'
+	+ '.cement-full-height{height:100dvh}'
+	+ '.cement-min-full-height{min-height:100dvh}'
+	+ `.cement-keyboard-height{height:${vars.keyboardInset ? `calc(100dvh - ${kb})` : '100dvh'}}}`;
+}
+
+const INPUT_ZOOM_MODES = ['block', 'allow', 'allow-and-restore'];
+
+// `a11y: true`
+const A11Y_DEFAULTS = Object.freeze({
+    shortcut: 'Alt+Shift+Z',
+    attempts: 3,                // blocked zoom attempts ...
+    within: 10000,              // ... in this many ms unlock zoom
+    message: 'Zoom unlocked for this session.',
+    announce: true,
+    storageKey: 'pageCement:zoomUnlocked',
+});
+// Blocked zoom events closer than this belong to one attempt (wheel bursts, key repeat)
+const ATTEMPT_GAP_MS = 500;
+// Live regions read out changes, not content that arrives with the region
+const ANNOUNCE_DELAY_MS = 100;
+// Viewport meta keys an a11y unlock drops
+const ZOOM_META_KEYS = ['maximum-scale', 'user-scalable'];
+// Keydowns an a11y instance took as its unlock shortcut; the 'top' keydown
+// handler (maybe another instance's) leaves them alone
+const UNLOCK_EVENTS = new WeakSet();
+
+// touch-action that lets pinch zoom through (a11y unlock)
+function withPinchZoom(value) {
+    const v = value.trim().toLowerCase();
+    if (v === 'none') return 'pinch-zoom';
+    return /^(pan-(x|y|left|right|up|down)\s*)+$/.test(v) ? `${value} pinch-zoom` : value;
+}
+
+// injectStyles
+const STYLE_MODES = ['style', 'adopted'];
+const STYLE_ATTR = 'data-page-cement-styles';
+
+// Options updateOptions() can apply without a full disable()/enable()
+const LIVE_OPTIONS = [
+    'allow', 'watch', 'regions', 'markup',
+    'keyboardCombos', 'keyboardMode', 'guards',
+    'lockScroll', 'scrollbarGutter',
+    'cssVarName', 'cssVars', 'useVisualViewport',
+    'maxZoom', 'minZoom', 'debug', 'logger', 'onBeforeBlock',
+];
+// e.key of a bare modifier press
+const MODIFIER_KEYS = ['Control', 'Meta', 'Shift', 'Alt', 'AltGraph', 'OS'];
+const NON_TEXT_INPUTS = ['button', 'checkbox', 'color', 'file', 'hidden', 'image', 'radio', 'range', 'reset', 'submit'];
+
+// Elements that raise the soft keyboard (and make iOS zoom in on focus)
+function isTypable(el) {
+    if (!el || el.nodeType !== 1) return false;
+    if (el.isContentEditable) return true;
+    const tag = el.tagName;
+    if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+    return tag === 'INPUT' && !NON_TEXT_INPUTS.includes(String(el.type || 'text').toLowerCase());
+}
+
+// 'width=device-width, initial-scale=1' ⇄ Map
+function parseViewportContent(content) {
+    const map = new Map();
+    for (const part of String(content || '').split(/[,;]/)) {
+	const [k, v] = part.split('=');
+	if (k && k.trim()) map.set(k.trim().toLowerCase(), (v || '').trim());
+    }
+    return map;
+}
+
+function serializeViewportContent(map) {
+    return [...map].map(([k, v]) => (v ? `${k}=${v}` : k)).join(', ');
+}
+
+const SCROLLABLE = /(auto|scroll|overlay)/;
+
+// Touches starting this close (px) to the left/right edge may be edge swipes
+const EDGE_SWIPE_PX = 24;
+
+// Double-tap zoom: second tap within this long and this close
+const DOUBLE_TAP_MS = 300;
+const DOUBLE_TAP_PX = 30;
+// Double-tap blocking leaves these alone: each quick tap must click
+const INTERACTIVE = 'a[href], button, input, label, select, summary, textarea, [role="button"], '
+      + '[role="link"], [role="checkbox"], [role="menuitem"], [role="option"], [role="tab"], [onclick]';
+
+function isInteractive(el) {
+    for (let n = el; n && n.nodeType === 1; n = n.parentElement) {
+	if (typeof n.onclick === 'function') return true;
+    }
+    return !!(el && typeof el.closest === 'function' && el.closest(INTERACTIVE));
+}
+
+// Snapshot inline style properties (kebab-case); returns the restore
+function saveInlineStyle(el, props) {
+    const saved = props.map(p => [p, el.style.getPropertyValue(p), el.style.getPropertyPriority(p)]);
+    return () => {
+	for (const [p, value, priority] of saved) {
+	    if (value) el.style.setProperty(p, value, priority);
+	    else el.style.removeProperty(p);
+	}
+    };
+}
+
+// `viewportMeta: true`
+const VIEWPORT_META_DEFAULTS = {
+    width: 'device-width',
+    initialScale: 1,
+    maximumScale: 1,
+    userScalable: false,
+    viewportFit: 'cover',
+    interactiveWidget: 'resizes-content',
+};
+
+// Split 'a, b:is(c, d)' into top-level comma groups
+function splitSelectorGroups(sel) {
+    const groups = [];
+    let depth = 0, start = 0;
+    for (let i = 0; i < sel.length; i++) {
+	const ch = sel[i];
+	if (ch === '\\') { i++; continue; }
+	if (ch === '(' || ch === '[') depth++;
+	else if (ch === ')' || ch === ']') depth--;
+	else if (ch === ',' && depth === 0) {
+	    groups.push(sel.slice(start, i));
+	    start = i + 1;
+	}
+    }
+    groups.push(sel.slice(start));
+    return groups.map(g => g.trim()).filter(Boolean);
+}
+
+// Approximate (ids, classes/attrs/pseudo-classes, types) specificity of one
+// selector group, packed into a single comparable number.
+function selectorSpecificity(sel) {
+    let a = 0, b = 0, c = 0;
+    let rest = sel
+	.replace(/\\./g, '_')
+	.replace(/"[^"]*"|'[^']*'/g, '')
+	.replace(/:where\([^)]*\)/g, '')
+	.replace(/:(?:not|is|has)\(/g, '(');
+    rest = rest.replace(/\[[^\]]*\]/g, () => { b++; return ' '; });
+    rest = rest.replace(/#[\w-]+/g, () => { a++; return ' '; });
+    rest = rest.replace(/\.[\w-]+/g, () => { b++; return ' '; });
+    rest = rest.replace(/::[\w-]+/g, () => { c++; return ' '; });
+    rest = rest.replace(/:[\w-]+(\([^)]*\))?/g, () => { b++; return ' '; });
+    rest.replace(/(^|[\s>+~(])[a-zA-Z][\w-]*/g, () => { c++; return ''; });
+    return a * 1e6 + b * 1e3 + c;
+}
+
+// Parent in the composed tree, climbing the way composedPath() does: into
+// assigned slots, out of shadow roots to their host, and out of same-origin
+// iframe documents to the <iframe> element.
+function composedParent(node) {
+    if (node.assignedSlot) return node.assignedSlot;
+    if (node.parentElement) return node.parentElement;
+    const parent = node.parentNode;
+    if (!parent) return null;
+    if (parent.host) return parent.host;
+    if (parent.nodeType === 9) {
+	try { return (parent.defaultView && parent.defaultView.frameElement) || null; } catch { return null; }
+    }
+    return null;
+}
+
+// Does `el` sit where a selector group is scoped to? `root`: the group only
+// matches inside that tree. `hosts` ('a >>> b'): each step must be inside the
+// shadow tree of a host matching the previous selector.
+function inScope(el, group) {
+    if (group.root && el.getRootNode() !== group.root) return false;
+    let node = el;
+    for (let i = group.hosts.length - 1; i >= 0; i--) {
+	let host = null;
+	for (let root = node.getRootNode(); root && root.host; root = root.host.getRootNode()) {
+	    if (root.host.matches(group.hosts[i])) { host = root.host; break; }
+	}
+	if (!host) return false;
+	node = host;
+    }
+    return true;
+}
+
+// Guard listeners mirrored into same-origin iframes (`iframes: true`):
+// [handler name in state.handlers, 'win' | 'doc', type, options, mode]
+const FRAME_EVENTS = [
+    ['onWheel', 'win', 'wheel', { passive: false }, 'top'],
+    ['onKeyDown', 'doc', 'keydown', { passive: false }, 'top'],
+    ['onTouchStart', 'doc', 'touchstart', { passive: true, capture: true }, 'all'],
+    ['onPinchMove', 'doc', 'touchmove', { passive: false }, 'top'],
+    ['onTouchEnd', 'doc', 'touchend', { passive: false }, 'top'],
+    ['onGesture', 'win', 'gesturestart', { passive: false }, 'top'],
+    ['onGesture', 'win', 'gesturechange', { passive: false }, 'top'],
+    ['onGesture', 'win', 'gestureend', { passive: false }, 'top'],
+    ['onContextMenu', 'doc', 'contextmenu', { passive: false }, 'top'],
+    ['onSelectStart', 'doc', 'selectstart', { passive: false }, 'top'],
+];
+
 export class PageCement {
 
+    /**
+     * Register a feature for every instance, wired from its next enable().
+     * @param {PageCementFeature} plugin
+     * @returns {boolean} false when malformed or the name is taken
+     */
+    static use(plugin) {
+	if (!plugin || typeof plugin.name !== 'string' || !plugin.name || typeof plugin.setup !== 'function') return false;
+	if (FEATURES.has(plugin.name)) return false;
+	FEATURES.set(plugin.name, Object.freeze({
+	    name: plugin.name,
+	    setup: plugin.setup,
+	    default: plugin.default !== false,
+	    requires: Object.freeze([...(plugin.requires || [])]),
+	}));
+	return true;
+    }
+
+    /** Registered feature names, in wiring order. */
+    static get features() {
+	return [...FEATURES.keys()];
+    }
+
+    /**
+     * Inline <style> + <script> for the server-rendered <head>: sets the CSS
+     * variables before first paint, so full-height layouts don't jump while
+     * the bundle loads. Pass the options the client will use (cssVarName,
+     * cssVars, useVisualViewport, detectKeyboard), plus a CSP `nonce`;
+     * `fallback: false` leaves out the <style> (1vh / 1dvh for no-JS).
+     * enable() takes the values over as they are: no reset, no flicker,
+     * and destroy() removes them instead of restoring the server's guess.
+     * @param {PageCementOptions & { nonce?: string, fallback?: boolean }} [opts]
+     * @returns {string} HTML, '' when there is nothing to set
+     */
+    static headSnippet(opts = {}) {
+	const vars = resolveCssVars(opts.cssVars, opts.cssVarName || '--vh', opts.detectKeyboard);
+	const metrics = new Map(); // name → SNIPPET_METRICS entry; a later metric wins, as in _commitVH()
+	for (const metric in vars) {
+	    if (SNIPPET_METRICS[metric] && CSS_VAR_NAME.test(vars[metric])) metrics.set(vars[metric], SNIPPET_METRICS[metric]);
+	}
+	if (!metrics.size) return '';
+
+	const nonce = opts.nonce ? ` nonce="${escapeAttr(opts.nonce)}"` : '';
+	const names = [...metrics.keys()];
+	const decls = (i) => names.filter(n => metrics.get(n)[i]).map(n => `${n}:${metrics.get(n)[i]}`).join(';');
+	let html = '';
+	if (opts.fallback !== false) {
+	    const modern = decls(2);
+	    html += `<style${nonce}>:root{${decls(1)}}${modern ? `@supports (height:1dvh){:root{${modern}}}` : ''}</style>`;
+	}
+	const sets = names.map(n => `s.setProperty(${JSON.stringify(n)},${metrics.get(n)[0]});`).join('');
+	html += `<script${nonce}>(function(){try{var w=window,r=document.documentElement,s=r.style,`
+	    + `v=${opts.useVisualViewport !== false}&&w.visualViewport;${sets}`
+	    + `r.setAttribute(${JSON.stringify(SSR_ATTR)},${JSON.stringify(names.join(' '))})}catch(e){}})();</script>`;
+	return html;
+    }
+
     /**
      * @param {PageCementOptions | string | string[]} [options]
      */
     constructor(options) {
-	// SSR-safe: never return; just mark and no-op later.
-	this.isSSR = (typeof window === 'undefined' || typeof document === 'undefined');
 
 	// Defaults
 	const defaults = {
 	    allow: undefined,           // string | string[]
 	    watch: undefined,           // alias for allow
+	    regions: undefined,         // Array<{ selector, zoom?, scroll?, keys? }>
 	    maxZoom: 1,
+	    minZoom: 0,                 // 0 = zooming out is never blocked
+	    autoResetZoom: false,
 	    lockScroll: false,
+	    scrollbarGutter: false,     // reserve the gutter instead of padding the body
+	    blockPinch: true,           // multi-touch pinch (non-WebKit)
+	    blockDoubleTap: true,       // double-tap zoom
+	    touchAction: undefined,     // e.g. 'manipulation', set on <html>
+	    viewportMeta: false,        // true | { maximumScale, userScalable, ... }
 	    useVisualViewport: true,
 	    cssVarName: '--vh',
+	    keyboardCombos: false,      // false | true | 'zoom' | shortcut(s)
+	    keyboardMode: 'block',      // 'allow' = block every Mod combo except keyboardCombos
+	    guards: undefined,          // ['reload', 'navigation', 'pullToRefresh', 'contextMenu', ...]
+	    features: undefined,        // feature names, or { name: boolean }; default: all
+	    a11y: false,                // true | { shortcut, attempts, within, message, ... }
+	    injectStyles: false,        // true | 'adopted' | { mode, nonce }
+	    iframes: false,             // also guard same-origin iframes
+	    markup: true,               // data-cement-allow / data-cement-region attributes
+	    cssVars: undefined,         // true | { metric: varName | true | false }
+	    detectKeyboard: false,
+	    keyboardThreshold: 150,     // px of viewport loss that counts as a keyboard
+	    freezeVHOnKeyboard: false,
+	    virtualKeyboard: true,      // use navigator.virtualKeyboard where present
+	    targetMode: 'target',
+	    inputZoom: 'block',
+	    allowStrategy: 'auto',
+	    debug: false,
+	    logger: undefined,          // { debug, warn, log }; console when unset
+	    onBeforeBlock: undefined,   // (payload) => false vetoes the block
 	};
 
 	// Back-compat normalization
-	const raw = (typeof options === 'string' || Array.isArray(options))
+	const given = (typeof options === 'string' || Array.isArray(options))
 	      ? { allow: options }
 	      : (options || {});
 
+	// Environment: an injected { window, document } (popup, iframe, test
+	// double) or the globals. Fixed for the instance's lifetime.
+	const { window: win, document: doc, ...raw } = given;
+	this._win = win || (doc && doc.defaultView) || (typeof window !== 'undefined' ? window : null);
+	this._doc = doc || (this._win && this._win.document) || null;
+
+	// SSR-safe: never return; just mark and no-op later.
+	this.isSSR = !this._win || !this._doc;
+
 	const merged = { ...defaults, ...raw };
 	if (!merged.allow && merged.watch) merged.allow = merged.watch;
 
@@ -157,6 +969,10 @@ export class PageCement {
 	this.enabled = false;         // toggled by enable()/disable()
 	this.controller = null;       // set by enable()
 	this._state = null;           // internal event/state bag created in enable()
+	this._listeners = new Map();  // on()/off() subscribers, kept across enable cycles
+	this._observed = new Map();   // observe() registrations: element → Map(varName → axis)
+	this._coord = null;           // window Coordinator, set by enable()
+	this._stackAt = -1;           // coordinator stack index to re-enable at (_rebuild())
 
 	// Pre-bind instance methods if you’ll attach them as listeners later (optional)
 	// this._onResize = this._onResize?.bind(this);
@@ -164,342 +980,1926 @@ export class PageCement {
 	// Done. No returns.
     }
 
-    // enable(), disable(), refresh(), updateOptions() will live here
+    // enable(), disable(), refresh() and updateOptions() are below
 
-    // Lazily populate allowedEls
-    // Resolve allowed elements lazily (in case the app mounts later)
-    _invalidateAllowedCache() {
-	if (this._state) this._state.allowEls = [];
+    /**
+     * On-screen keyboard state (detectKeyboard). Snapshot; listen for
+     * 'keyboardchange' to follow it.
+     * @returns {{ isOpen: boolean, height: number }}
+     */
+    get keyboard() {
+	const kb = this._state?.keyboard;
+	return { isOpen: !!kb?.isOpen, height: kb?.height || 0 };
     }
 
-    _resolveAllowed() {
-	const s = this._state;
-	if (!s || s.allowEls.length) return;
+    // Events & diagnostics
+    // --------------------
+    // Listeners live on the instance (not the state bag) so they survive
+    // enable()/disable() cycles.
 
-	let allow = s.opts?.allow;
-	if (allow == null) return;
+    /**
+     * Subscribe to 'block', 'allow' or 'vh'.
+     * @param {string} type
+     * @param {(payload: object) => void} fn
+     * @returns {() => boolean} unsubscribe
+     */
+    on(type, fn) {
+	if (typeof fn !== 'function') return () => false;
+	let set = this._listeners.get(type);
+	if (!set) this._listeners.set(type, (set = new Set()));
+	set.add(fn);
+	return () => this.off(type, fn);
+    }
 
-	const items = Array.isArray(allow) ? allow : [allow];
-	const els = [];
+    /** Remove a listener added with on(). */
+    off(type, fn) {
+	const set = this._listeners.get(type);
+	return !!(set && set.delete(fn));
+    }
 
-	for (const item of items) {
-	    if (item instanceof Element) {          // support direct nodes
-		els.push(item);
-		continue;
-	    }
-	    if (typeof item === 'string') {
-		const sel = item.trim();
-		if (!sel) continue;                   // skip empty strings
-		try {
-		    // querySelectorAll handles comma groups and returns all matches
-		    els.push(...document.querySelectorAll(sel));
-		} catch (_) {
-		    // ignore invalid selectors
-		}
-	    }
+    _emit(type, payload) {
+	this._log('debug', type, payload);
+	const set = this._listeners.get(type);
+	if (!set) return;
+	for (const fn of [...set]) {
+	    try { fn(payload); } catch (err) { this._log('warn', `"${type}" listener threw`, err, true); }
 	}
-
-	// Dedupe while preserving order
-	s.allowEls = [...new Set(els)];
     }
 
-
-    _isInsideAllowed(target) {
-	this._resolveAllowed();
-	return this._state?.allowEls?.some(el => el && el.contains(target));
+    // Opt-in logging through `logger` (console by default). `force` is for
+    // faults worth reporting even with debug off.
+    _log(level, msg, data, force = false) {
+	if (!force && !this.opts.debug) return;
+	const logger = this.opts.logger || (typeof console !== 'undefined' ? console : null);
+	if (!logger) return;
+	const fn = logger[level] || logger.log;
+	if (typeof fn === 'function') fn.call(logger, `🧱 PageCement: ${msg}`, data);
     }
 
+    _metrics() {
+	const win = this._getWin();
+	let scale = 1;
+	try { scale = win.visualViewport?.scale || 1; } catch { scale = 1; }
+	return { dpr: win.devicePixelRatio || 1, scale };
+    }
 
-    // inside the class
-
-    _getWin() { return window; }
-    _getDocEl() { return (document && document.documentElement) || document.documentElement; }
-
-    // Calculate the numeric vh unit (1vh in px) using VisualViewport if enabled
-    _calcVH() {
-	const w = this._getWin();
-	const s = this._state;
-	// guard if disable() ran between queue and commit
-	if (!s) return null;
+    _payload(e, reason, target, combo, extra) {
+	return { reason, target: target || null, combo: combo || null, ...extra, ...this._metrics(), event: e };
+    }
 
-	try {
-	    if (s.useVisualViewport && w.visualViewport && typeof w.visualViewport.height === 'number') {
-		return w.visualViewport.height * 0.01;
+    // Single exit for every blocking path: veto hook, preventDefault, 'block'
+    _block(e, reason, target, combo = null, extra) {
+	const payload = this._payload(e, reason, target, combo, extra);
+	const hook = this._state?.opts.onBeforeBlock;
+	if (typeof hook === 'function') {
+	    let verdict;
+	    try { verdict = hook(payload); } catch (err) { this._log('warn', 'onBeforeBlock threw', err, true); }
+	    if (verdict === false) {
+		this._emit('allow', { ...payload, allowedBy: 'veto' });
+		return false;
 	    }
-	} catch (_) { /* WebKit oddities */ }
+	}
+	e.preventDefault();
+	this._emit('block', payload);
+	return true;
+    }
 
-	return w.innerHeight * 0.01;
+    // A block that a region (or other exception) let through
+    _allow(e, reason, target, combo, allowedBy, extra) {
+	this._emit('allow', { ...this._payload(e, reason, target, combo, extra), allowedBy });
     }
 
-    // Commit the CSS variable immediately (internal)
-    _commitVH() {
-	const s = this._state;
-	if (!s) return;
-	const vh = this._calcVH();
-	if (vh == null) return;
-	this._getDocEl().style.setProperty(s.cssVarName, `${vh}px`);
+    // Accessibility escape hatch (a11y)
+    // ---------------------------------
+    // Every zoom block goes through _blockZoom(): once zoom is unlocked it
+    // lets the event pass, until then blocked attempts count towards the
+    // automatic unlock. The unlock lives in sessionStorage so every
+    // instance (and page) of the session honours it, a11y or not; the
+    // instances enabled on the window hear about it at once.
+
+    _resolveA11y(opt, mac) {
+	if (!opt) return null;
+	const o = { ...A11Y_DEFAULTS, ...(opt === true ? {} : opt) };
+	const shortcut = o.shortcut ? compileShortcuts([o.shortcut], { mac })[0] || null : null;
+	if (o.shortcut && !shortcut) this._log('warn', 'a11y shortcut ignored', o.shortcut, true);
+	return {
+	    shortcut,
+	    attempts: Number.isFinite(o.attempts) && o.attempts > 0 ? o.attempts : 0,
+	    within: Number.isFinite(o.within) ? o.within : A11Y_DEFAULTS.within,
+	    message: String(o.message || ''),
+	    announce: o.announce !== false,
+	    storageKey: String(o.storageKey || A11Y_DEFAULTS.storageKey),
+	    hits: /** @type {number[]} */ ([]),
+	    last: /** @type {number|null} */ (null),
+	    live: /** @type {HTMLElement|null} */ (null),
+	    timer: /** @type {any} */ (null),
+	};
     }
 
-    // Public-friendly refresh that’s rAF-throttled
-    _setVH() {
+    _wireA11y() {
 	const s = this._state;
-	if (!s) return;
-	if (s.raf) cancelAnimationFrame(s.raf);
-	s.raf = requestAnimationFrame(() => {
-	    s.raf = null;
-	    this._commitVH();
+	if (!s || !s.a11y) return;
+	const a = s.a11y;
+	// 'all': the shortcut must work under a topmost instance without a11y
+	if (a.shortcut) {
+	    s.handlers.onA11yKeyDown = (e) => this._onA11yKeyDown(e);
+	    s.cleanup.push(this._listen(this._getDoc(), 'keydown', s.handlers.onA11yKeyDown, { passive: false }));
+	}
+	s.cleanup.push(() => {
+	    this._getWin().clearTimeout(a.timer);
+	    if (a.live) a.live.remove();
+	    a.live = null;
 	});
     }
 
-    _onWheel(e) {
-	if (!this._state) return;
-	if (!e.ctrlKey) return;
-	const zoomLevel = window.devicePixelRatio || 1;
-	const zoomingIn = e.deltaY < 0;
-	if (zoomingIn && zoomLevel >= this._state.maxZoom && !this._isInsideAllowed(e.target)) {
-            e.preventDefault();
-	}
+    _onA11yKeyDown(e) {
+	const a = this._state?.a11y;
+	if (!a || UNLOCK_EVENTS.has(e) || !matchShortcut(a.shortcut, e)) return;
+	UNLOCK_EVENTS.add(e);
+	if (this._unlockZoom('shortcut')) e.preventDefault();
     }
 
-    _wirePointerIntent() {
-	if (!this._state) return;
-	const { handlers, cleanup } = this._state;
-
-	// Store the last element under the pointer (mouse, pen, touch)
-	handlers.onPointerMove = (e) => {
-	    const el = document.elementFromPoint(e.clientX, e.clientY);
-	    this._state.lastPointerEl = el || null;
-	};
+    // Instances enabled on this window, this one included
+    _peers() {
+	return this._coord ? this._coord.stack.slice() : [this];
+    }
 
-	window.addEventListener('pointermove', handlers.onPointerMove, { passive: true });
-	cleanup.push(() => window.removeEventListener('pointermove', handlers.onPointerMove));
+    _zoomUnlocked() {
+	const s = this._state;
+	if (!s) return false;
+	if (!s.zoomUnlocked) {
+	    const key = s.a11y ? s.a11y.storageKey : A11Y_DEFAULTS.storageKey;
+	    try { s.zoomUnlocked = this._getWin().sessionStorage.getItem(key) === '1'; } catch { /* storage disabled */ }
+	}
+	return s.zoomUnlocked;
     }
-    // doesnt work as I intend it. just leaving here for now incase I change it later
-    _eventTarget(e) {
-	// Prefer composed path (Shadow DOM safe)
-	const path = typeof e.composedPath === 'function' ? e.composedPath() : null;
-	let t = path && path.length ? path[0] : e.target;
 
-	// If it's window/document/body, prefer the focused element
-	if (!t || t === window || t === document || t === document.body) {
-	    t = document.activeElement || document.body;
+    _blockZoom(e, reason, target, combo = null, extra) {
+	if (this._zoomUnlocked()) {
+	    this._allow(e, reason, target, combo, 'a11y', extra);
+	    return false;
 	}
-	return t;
+	const blocked = this._block(e, reason, target, combo, extra);
+	// every a11y instance counts it, whoever blocked
+	if (blocked) for (const inst of this._peers()) inst._noteZoomAttempt(e);
+	return blocked;
     }
-    
-    /**
-       small note. this will not function quite as intuitvely as intended. for now
-    true == will kill all keyboard events mostly.
-    false == ignores keyboard events
-    array of objects, allow these events,
 
-    this only works on the focused event, but since we are not always focused on keyboard events, this doesnt work as intended.
-    
-    */
-    _onKeyDown(e) {
-	const s = this._state;
-	if (!s) return;
+    // `attempts` blocked zooms within `within` ms unlock zoom
+    _noteZoomAttempt(e) {
+	const a = this._state?.a11y;
+	if (!a || !a.attempts) return;
+	const now = e.timeStamp || Date.now();
+	const burst = a.last != null && now - a.last < ATTEMPT_GAP_MS;
+	a.last = now;
+	if (burst) return;
+	a.hits = a.hits.filter(t => now - t <= a.within);
+	a.hits.push(now);
+	if (a.hits.length >= a.attempts) this._unlockZoom('attempts');
+    }
 
-	const kc = s.opts.keyboardCombos;
+    _unlockZoom(source) {
+	const a = this._state?.a11y;
+	if (!a || this._zoomUnlocked()) return false;
+	try { this._getWin().sessionStorage.setItem(a.storageKey, '1'); } catch { /* storage disabled */ }
+	for (const inst of this._peers()) inst._zoomUnlockedBy(source);
+	this._zoomUnlockedBy(source); // in case this one isn't stacked
+	this._announce(a.message);
+	return true;
+    }
 
-	// Mode A: false → ignore everything
-	if (kc === false) return;
-	//const target = this._eventTarget(e);
-	const target = e.target;
-	/*
-	//this is experimental code. it may be disregarded for this version 1 release.
-	//problem: at present, using the focused or selected element for certain things just doesnt work.
-	//as an example, since we are rarely focused, on things like zoom or say alt-table or alt refresh etc, basically its always document body, which resolves to first
-	//I'm playing around in the key press area, but this could be extended to everything later on.
-	//we probably want 2 options on startup , by focused or by pointer.then a user can decide.
+    // Unlock (by this or another instance) reaches this one: relax what
+    // it set up to stop zoom
+    _zoomUnlockedBy(source) {
+	const s = this._state;
+	if (!s || s.zoomUnlocked) return;
+	s.zoomUnlocked = true;
+	if (s.a11y) s.a11y.hits = [];
+	this._applyViewportMeta();
+	if (s.applyTouchAction && this._coord.owner('touch-action') === this) s.applyTouchAction();
+	this._log('debug', `zoom unlocked (${source})`);
+	this._emit('zoomunlock', { source });
+    }
 
-	const path = typeof e.composedPath === 'function' ? e.composedPath() : null;
-	let target = path && path.length ? path[0] : e.target;
-
-	// If target is generic (body/doc) or missing, fall back to focus, then last pointer
-	if (!target || target === window || target === document || target === document.body) {
-	    target = document.activeElement || s.lastPointerEl || document.body;
-	    console.log('hot here',s.lastPointerEl);
-	}
-	*/
-	
-	// If inside allowed region, never block
-	if (this._isInsideAllowed(target)) return;
-	console.log(target, this._isInsideAllowed(target));
-	// Mode B: true → block ANY keypress with Ctrl or Meta held
-	if (kc === true) {
-	    if (e.ctrlKey || e.metaKey) {
-		e.preventDefault();
-	    }
-	    return;
+    // Polite live region, made on first use and removed on destroy
+    _announce(message) {
+	const a = this._state.a11y;
+	const doc = this._getDoc();
+	if (!a.announce || !message || !doc.body) return;
+	if (!a.live) {
+	    const el = doc.createElement('div');
+	    el.setAttribute('role', 'status');
+	    el.setAttribute('aria-live', 'polite');
+	    el.setAttribute('aria-atomic', 'true');
+	    el.setAttribute('data-page-cement-live', '');
+	    el.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;border:0;'
+		+ 'overflow:hidden;clip:rect(0 0 0 0);clip-path:inset(50%);white-space:nowrap;';
+	    doc.body.appendChild(el);
+	    a.live = el;
 	}
+	const live = a.live;
+	live.textContent = '';
+	const win = this._getWin();
+	win.clearTimeout(a.timer);
+	a.timer = win.setTimeout(() => { live.textContent = message; }, ANNOUNCE_DELAY_MS);
+    }
 
-	// Mode C: array → block only explicit combos
-	// (use provided list; fall back to defaults if you prefer)
-	const combos = Array.isArray(kc) ? kc : DEFAULT_KEYBOARD_COMBOS;
+    // Utility stylesheet (injectStyles)
+    // --------------------------------
+    // One sheet per instance, written for its own variable names and
+    // rewritten when they change.
 
-	for (const combo of combos) {
-	    // Check only listed modifiers; omitted mods are “don’t care”
-	    const mods = combo.mods || {};
-	    let modsMatch = true;
-	    for (const m in mods) {
-		const want = !!mods[m];
-		const got = !!e[`${m}Key`];
-		if (got !== want) { modsMatch = false; break; }
-	    }
-	    if (!modsMatch) continue;
+    _resolveStyles(opt) {
+	if (!opt) return null;
+	const o = opt === true ? {} : typeof opt === 'string' ? { mode: opt } : opt;
+	if (o.mode != null && !STYLE_MODES.includes(o.mode)) this._log('warn', 'unknown injectStyles mode, using "style"', o.mode, true);
+	return {
+	    mode: o.mode === 'adopted' ? 'adopted' : 'style',
+	    nonce: o.nonce ? String(o.nonce) : null,
+	    node: /** @type {HTMLStyleElement|null} */ (null),
+	    sheet: /** @type {CSSStyleSheet|null} */ (null),
+	};
+    }
 
-	    if (e.key === combo.key) {
-		e.preventDefault();
-		break;
+    _wireStyles() {
+	const s = this._state;
+	if (!s || !s.styles) return;
+	const st = s.styles;
+	const win = this._getWin();
+	const doc = this._getDoc();
+	const css = this._utilityStyles();
+
+	if (st.mode === 'adopted' && typeof win.CSSStyleSheet === 'function' && 'adoptedStyleSheets' in doc) {
+	    try {
+		const sheet = new win.CSSStyleSheet();
+		sheet.replaceSync(css);
+		doc.adoptedStyleSheets = [...doc.adoptedStyleSheets, sheet];
+		st.sheet = sheet;
+	    } catch (err) {
+		this._log('debug', 'constructed stylesheets unavailable, using <style>', err);
 	    }
 	}
+	if (!st.sheet) {
+	    const el = doc.createElement('style');
+	    el.setAttribute(STYLE_ATTR, '');
+	    if (st.nonce) el.setAttribute('nonce', st.nonce);
+	    el.textContent = css;
+	    (doc.head || doc.documentElement).appendChild(el);
+	    st.node = el;
+	}
+
+	s.cleanup.push(() => {
+	    if (st.sheet) doc.adoptedStyleSheets = [...doc.adoptedStyleSheets].filter(sheet => sheet !== st.sheet);
+	    if (st.node) st.node.remove();
+	    st.sheet = st.node = null;
+	});
     }
 
-    
-    d_onKeyDown(e) {
-	if (!this._state) return;
-	if (!e.ctrlKey && !e.metaKey) return; // allow Cmd on macOS to count
-	const k = e.key;
-	if (k === '+' || k === '-' || k === '=' || k === 'Add' || k === 'Subtract') {
-            if (!this._isInsideAllowed(e.target)) {
-		e.preventDefault();
-            }
-	}
+    _utilityStyles() {
+	const s = this._state;
+	// --vh already ends at the keyboard when it follows a visualViewport
+	// that shrinks for it (not frozen, not overlaid via VirtualKeyboard)
+	const vhShrinks = s.useVisualViewport && !s.freezeVHOnKeyboard && s.keyboard.source !== 'virtualKeyboard';
+	return utilityStyles(s.cssVars, !vhShrinks);
     }
 
+    // After a variable rename or a new useVisualViewport
+    _restyle() {
+	const st = this._state?.styles;
+	if (!st) return;
+	const css = this._utilityStyles();
+	if (st.sheet) st.sheet.replaceSync(css);
+	else if (st.node) st.node.textContent = css;
+    }
 
-    _onTouchStart(e) {
-	if (!this._state) return;
-	const t = e.targetTouches && e.targetTouches[0];
-	const tgt = (t && document.elementFromPoint(t.clientX, t.clientY)) || e.target;
-	this._state.touchInsideAllowed = this._isInsideAllowed(tgt);
+    // Allow-list / region resolution
+    // ------------------------------
+    // `allow` and `regions` compile into one rule list. Each rule is a direct
+    // node or a set of selector groups plus a policy. For an event target the
+    // nearest matching ancestor wins; on the same element the most specific
+    // selector wins, then the later rule. Selector checks depend on
+    // `allowStrategy` (picked in enable()):
+    //   match   – per event, `matches()` up from the target. Always live.
+    //   observe – cache querySelectorAll, dropped by a MutationObserver.
+    //   query   – no closest/MutationObserver: re-query on every check.
+
+    _pickAllowStrategy(wanted) {
+	const El = this._getWin().Element;
+	const canMatch = typeof El === 'function' && typeof El.prototype.closest === 'function';
+	const canObserve = typeof this._getWin().MutationObserver === 'function';
+	if (wanted === 'observe' && canObserve) return 'observe';
+	if (wanted === 'match' && canMatch) return 'match';
+	if (canMatch) return 'match';
+	if (canObserve) return 'observe';
+	return 'query';
     }
 
+    // Normalize an allow option (single or array) into a flat item list
+    _allowItems(allow) {
+	if (allow == null) return [];
+	return Array.isArray(allow) ? allow : [allow];
+    }
 
-    _onGesture(e) {
-	// Uses the flag set by _onTouchStart
-	if (!this._state || this._state.touchInsideAllowed) return;
-	e.preventDefault();
+    // Region definition → frozen { zoom, scroll, keys }
+    _normalizePolicy(region) {
+	let keys = region.keys;
+	if (keys === true || keys === 'all') keys = 'all';
+	else if (keys && (Array.isArray(keys) || typeof keys === 'string' || typeof keys === 'object')) {
+	    keys = compileShortcuts(this._allowItems(keys), { mac: this._state?.mac });
+	}
+	else keys = false;
+	return Object.freeze({
+	    zoom: !!region.zoom,
+	    scroll: !!region.scroll,
+	    keys,
+	    contextMenu: !!region.contextMenu,
+	    selection: !!region.selection,
+	});
     }
 
-    
-    _initState(opts) {
-	if (!opts || typeof opts !== 'object') opts = {};
+    // Element or ShadowRoot entry → node rule; selector string → groups,
+    // optionally scoped to `root` (a ShadowRoot, or a host with an open one)
+    _compileRule(item, policy, root = null) {
+	if (item && (item.nodeType === 1 || item.nodeType === 11)) {
+	    return { node: item, groups: [], selector: '', policy, els: null };
+	}
+	if (typeof item !== 'string') return null;
+	if (root && root.nodeType === 1) root = root.shadowRoot;
+
+	const groups = [];
+	for (const group of splitSelectorGroups(item)) {
+	    // 'my-editor >>> .canvas': .canvas inside my-editor's shadow tree
+	    const parts = group.split(/\s*>>>\s*/).map(part => part.trim());
+	    try {
+		for (const part of parts) this._getDocEl().matches(part);
+	    } catch (_) {
+		continue; // ignore invalid selectors
+	    }
+	    if (parts.some(part => !part)) continue;
+	    groups.push({ sel: parts.pop(), hosts: parts, root: root || null, spec: selectorSpecificity(group) });
+	}
+	if (!groups.length) return null;
+	// Only plain document selectors can be cached with querySelectorAll
+	const plain = groups.every(g => !g.hosts.length && !g.root);
+	return { node: null, groups, selector: plain ? groups.map(g => g.sel).join(', ') : '', policy, els: null };
+    }
 
-	// normalize once; keep source of truth in state.opts
-	const kc = (opts.keyboardCombos ?? false);
-	const normalizedOpts = { ...opts, keyboardCombos: kc };
-	const cssVarName = normalizedOpts.cssVarName || '--vh';
+    _compileAllowed() {
+	const s = this._state;
+	if (!s) return;
+	const rules = this._compileMarkupRules();
 
-	this._state = {
-	    opts: normalizedOpts,
-	    cssVarName,
-	    prevCssVar: getComputedStyle(document.documentElement).getPropertyValue(cssVarName),
-	    maxZoom: Number.isFinite(normalizedOpts.maxZoom) ? normalizedOpts.maxZoom : 1,
-	    lockScroll: !!normalizedOpts.lockScroll,
-	    useVisualViewport: normalizedOpts.useVisualViewport !== false,
-	    allowEls: /** @type {Element[]} */ ([]),
-	    touchInsideAllowed: false,
-	    cleanup: /** @type {(() => void)[]} */ ([]),
-	    raf: /** @type {number|null} */ (null),
-	    handlers: {}
-	};
+	// Legacy `allow` entries are regions that permit everything
+	for (const item of this._allowItems(s.opts.allow)) {
+	    const rule = this._compileRule(item, ALLOW_ALL);
+	    if (rule) rules.push(rule);
+	}
+	for (const region of this._allowItems(s.opts.regions)) {
+	    if (!region || typeof region !== 'object' || region.nodeType) continue;
+	    const rule = this._compileRule(region.selector, this._normalizePolicy(region), region.root);
+	    if (rule) rules.push(rule);
+	}
 
-	return this._state;
+	s.rules = rules;
+	this._invalidateAllowedCache();
     }
 
-
-    _wireDomReady() {
-	if (!this._state) return;
-	const { handlers, cleanup } = this._state;
-	if (document.readyState === 'loading') {
-	    handlers.onReady = () => this._setVH();
-	    document.addEventListener('DOMContentLoaded', handlers.onReady, { once: true });
-	    cleanup.push(() => document.removeEventListener('DOMContentLoaded', handlers.onReady));
+    // data-cement-allow / data-cement-region rules. Listed first, so explicit
+    // `allow` / `regions` entries win ties on the same element.
+    _compileMarkupRules() {
+	const rules = [];
+	if (!this._state.markup) return rules;
+	const allow = this._compileRule(`[${ALLOW_ATTR}]`, ALLOW_ALL);
+	if (allow) rules.push(allow);
+
+	// The policy comes from each element's own attribute value
+	const region = this._compileRule(`[${REGION_ATTR}]`, NO_POLICY);
+	if (region) {
+	    const cache = new Map(); // attribute value → frozen policy
+	    region.policyOf = (el) => {
+		const value = el.getAttribute(REGION_ATTR) || '';
+		if (!cache.has(value)) cache.set(value, this._normalizePolicy(parseRegionAttr(value)));
+		return cache.get(value);
+	    };
+	    rules.push(region);
 	}
+	return rules;
     }
 
+    _invalidateAllowedCache() {
+	if (this._state) this._state.allowDirty = true;
+    }
 
-    _wireViewport() {
-	if (!this._state) return;
-	const { handlers, cleanup } = this._state;
-	const win = window;
+    // Refresh per-rule match caches for the observe/query strategies
+    _resolveAllowed() {
+	const s = this._state;
+	if (!s || s.allowStrategy === 'match') return;
+	if (!s.allowDirty && s.allowStrategy === 'observe') return;
+	for (const rule of s.rules) {
+	    if (!rule.selector) continue;
+	    try {
+		rule.els = new Set(this._getDoc().querySelectorAll(rule.selector));
+	    } catch (_) {
+		rule.els = new Set();
+	    }
+	}
+	s.allowDirty = false;
+    }
 
-	handlers.onResize = () => this._setVH();
-	win.addEventListener('resize', handlers.onResize, { passive: true });
-	cleanup.push(() => win.removeEventListener('resize', handlers.onResize));
+    // Specificity of `rule` on `el`, or -1 when it does not match
+    // A ShadowRoot rule counts on the elements at the top of that root.
+    _ruleSpecificity(rule, el) {
+	if (rule.node) {
+	    const hit = rule.node === el || (rule.node.nodeType === 11 && el.parentNode === rule.node);
+	    return (hit && el.isConnected) ? Infinity : -1;
+	}
+	if (rule.els && !rule.els.has(el)) return -1;
+	let best = -1;
+	for (const g of rule.groups) {
+	    if (g.spec > best && el.matches(g.sel) && inScope(el, g)) best = g.spec;
+	}
+	return best;
+    }
 
-	handlers.onOrientation = () => this._setVH();
-	win.addEventListener('orientationchange', handlers.onOrientation);
-	cleanup.push(() => win.removeEventListener('orientationchange', handlers.onOrientation));
+    /**
+     * The policy governing `target`: nearest region wins, then specificity.
+     * @param {Node|null} target
+     * @returns {{ zoom: boolean, scroll: boolean, keys: 'all'|object[]|false }}
+     */
+    _policyFor(target) {
+	const s = this._state;
+	if (!s || !target || !s.rules.length) return NO_POLICY;
+	this._resolveAllowed();
 
-	let vv = null;
-	try { vv = win.visualViewport || null; } catch { vv = null; }
-	if (vv) {
-	    handlers.onVV = () => this._setVH();
-	    vv.addEventListener('resize', handlers.onVV, { passive: true });
-	    vv.addEventListener('scroll', handlers.onVV, { passive: true });
-	    cleanup.push(() => {
-		vv.removeEventListener('resize', handlers.onVV);
-		vv.removeEventListener('scroll', handlers.onVV);
-	    });
+	// Composed ancestors: shadow hosts and <iframe>s count as containers
+	for (let el = target.nodeType === 1 ? target : composedParent(target); el; el = composedParent(el)) {
+	    let best = null;
+	    let bestSpec = -1;
+	    for (const rule of s.rules) {
+		const spec = this._ruleSpecificity(rule, el);
+		if (spec >= 0 && spec >= bestSpec) { best = rule; bestSpec = spec; }
+	    }
+	    if (best) return best.policyOf ? best.policyOf(el) : best.policy;
 	}
+	return NO_POLICY;
     }
 
-    _wireWheel() {
-	if (!this._state) return;
-	const { handlers, cleanup } = this._state;
-	handlers.onWheel = (e) => this._onWheel(e);
-	window.addEventListener('wheel', handlers.onWheel, { passive: false });
-	cleanup.push(() => window.removeEventListener('wheel', handlers.onWheel));
+    // Back-compat: true when the nearest region around `target` permits everything
+    _isInsideAllowed(target) {
+	return this._policyFor(target) === ALLOW_ALL;
     }
 
-    _wireKeyDown() {
-	if (!this._state) return;
-	const { handlers, cleanup } = this._state;
-	handlers.onKeyDown = (e) => this._onKeyDown(e);
-	document.addEventListener('keydown', handlers.onKeyDown, { passive: false });
-	cleanup.push(() => document.removeEventListener('keydown', handlers.onKeyDown));
+    _wireAllowObserver() {
+	const s = this._state;
+	if (!s || s.allowStrategy !== 'observe') return;
+	const { handlers, cleanup } = s;
+	const MO = this._getWin().MutationObserver;
+	const mo = new MO(() => this._invalidateAllowedCache());
+	handlers.allowObserver = mo;
+	// attributes too: class/id changes move elements in and out of selectors
+	mo.observe(this._getDocEl(), { childList: true, subtree: true, attributes: true });
+	cleanup.push(() => mo.disconnect());
     }
 
-    _wireTouchStart() {
-	if (!this._state) return;
-	const { handlers, cleanup } = this._state;
-	handlers.onTouchStart = (e) => this._onTouchStart(e);
-	document.addEventListener('touchstart', handlers.onTouchStart, { passive: true, capture: true });
-	cleanup.push(() => document.removeEventListener('touchstart', handlers.onTouchStart, { capture: true }));
+    /**
+     * Add element(s) or selector(s) to the allow list. Takes effect immediately
+     * when enabled, and persists across enable()/disable().
+     * @param {string|Element|Array<string|Element>} elOrSelector
+     * @returns {boolean} true if anything was added
+     */
+    addAllowed(elOrSelector) {
+	const current = this._allowItems(this.opts.allow);
+	const added = this._allowItems(elOrSelector).filter(item => {
+	    if (typeof item === 'string') item = item.trim();
+	    return item && !current.includes(item);
+	}).map(item => (typeof item === 'string' ? item.trim() : item));
+	if (!added.length) return false;
+
+	this.opts.allow = [...current, ...added];
+	if (this._state) {
+	    this._state.opts.allow = this.opts.allow;
+	    this._compileAllowed();
+	}
+	return true;
     }
 
-    _wireGesture() {
-	if (!this._state) return;
-	const { handlers, cleanup } = this._state;
-	const win = window;
+    /**
+     * Remove element(s) or selector(s) previously given via `allow`/addAllowed().
+     * Selectors are matched by exact (trimmed) string.
+     * @param {string|Element|Array<string|Element>} elOrSelector
+     * @returns {boolean} true if anything was removed
+     */
+    removeAllowed(elOrSelector) {
+	const gone = this._allowItems(elOrSelector).map(item => (typeof item === 'string' ? item.trim() : item));
+	const current = this._allowItems(this.opts.allow);
+	const kept = current.filter(item => !gone.includes(typeof item === 'string' ? item.trim() : item));
+	if (kept.length === current.length) return false;
+
+	this.opts.allow = kept;
+	if (this._state) {
+	    this._state.opts.allow = kept;
+	    this._compileAllowed();
+	}
+	return true;
+    }
+
+    /**
+     * Keep a CSS variable on `element` at its rendered size in px (border box),
+     * written in the same frame as --vh. Like on() listeners, registrations
+     * persist across enable()/disable(); variables are only written while
+     * enabled and go back to their previous values on destroy().
+     * Uses ResizeObserver; without it sizes follow viewport changes only.
+     * @param {Element} element
+     * @param {{ varName?: string, axis?: 'height'|'width' }} [options]
+     * @returns {boolean} false for a non-element, bad name or axis
+     */
+    observe(element, { varName = '--h', axis = 'height' } = {}) {
+	if (!element || element.nodeType !== 1) return false;
+	if (typeof varName !== 'string' || !varName.startsWith('--') || (axis !== 'height' && axis !== 'width')) {
+	    this._log('warn', 'observe(): varName must start with "--" and axis be "height" or "width"', { varName, axis }, true);
+	    return false;
+	}
+	let vars = this._observed.get(element);
+	if (!vars) this._observed.set(element, (vars = new Map()));
+	vars.set(varName, axis);
+	this._watchSize(element);
+	return true;
+    }
+
+    /**
+     * Stop an observe() registration (every variable on `element` without
+     * `varName`) and restore what the variable held before.
+     * @param {Element} element
+     * @param {string} [varName]
+     * @returns {boolean} true if anything was removed
+     */
+    unobserve(element, varName) {
+	const vars = this._observed.get(element);
+	if (!vars || (varName != null && !vars.has(varName))) return false;
+	const names = varName == null ? [...vars.keys()] : [varName];
+	const rec = this._state?.sizes?.els.get(element);
+	for (const name of names) {
+	    vars.delete(name);
+	    if (rec) this._restoreSizeVar(element, rec, name);
+	}
+	if (!vars.size) {
+	    this._observed.delete(element);
+	    this._unwatchSize(element);
+	}
+	return true;
+    }
+
+
+    // inside the class
+
+    _getWin() { return this._win; }
+    _getDoc() { return this._doc; }
+    _getDocEl() { return this._doc.documentElement; }
+
+    // Calculate the numeric vh unit (1vh in px) using VisualViewport if enabled
+    _calcVH() {
+	const w = this._getWin();
+	const s = this._state;
+	// guard if disable() ran between queue and commit
+	if (!s) return null;
+
+	try {
+	    if (s.useVisualViewport && w.visualViewport && typeof w.visualViewport.height === 'number') {
+		return w.visualViewport.height * 0.01;
+	    }
+	} catch (_) { /* WebKit oddities */ }
+
+	return w.innerHeight * 0.01;
+    }
+
+    // Every metric named in `cssVars`, in px (scale is unitless)
+    _calcMetrics() {
+	const w = this._getWin();
+	const s = this._state;
+	if (!s) return null;
+	const vars = s.cssVars;
+
+	let vv = null;
+	try { vv = (s.useVisualViewport && w.visualViewport) || null; } catch (_) { vv = null; }
+
+	// Keep the pre-keyboard height while the keyboard is up, if asked
+	const kb = s.keyboard;
+	const frozen = s.freezeVHOnKeyboard && kb.isOpen && kb.frozenVH != null;
+	const m = { vh: frozen ? kb.frozenVH : this._calcVH() };
+	if (vars.keyboardInset) m.keyboardInset = kb.height;
+	if (vars.vw) {
+	    m.vw = (vv && typeof vv.width === 'number' ? vv.width : w.innerWidth) * 0.01;
+	}
+	if (vars.svh || vars.lvh) {
+	    // Track the URL bar's range on the layout viewport; a width change
+	    // (rotation, window resize) starts a new range.
+	    const st = s.stable;
+	    const h = w.innerHeight;
+	    if (w.innerWidth !== st.width) {
+		st.width = w.innerWidth;
+		st.min = st.max = h;
+	    } else {
+		st.min = Math.min(st.min, h);
+		st.max = Math.max(st.max, h);
+	    }
+	    m.svh = st.min * 0.01;
+	    m.lvh = st.max * 0.01;
+	}
+	if (vars.offsetTop) m.offsetTop = vv ? vv.offsetTop : 0;
+	if (vars.offsetLeft) m.offsetLeft = vv ? vv.offsetLeft : 0;
+	if (vars.scale) m.scale = vv ? vv.scale : 1;
+	if (vars.safeTop || vars.safeRight || vars.safeBottom || vars.safeLeft) {
+	    const inset = this._readSafeArea();
+	    if (inset) {
+		m.safeTop = inset.top;
+		m.safeRight = inset.right;
+		m.safeBottom = inset.bottom;
+		m.safeLeft = inset.left;
+	    }
+	}
+	return m;
+    }
+
+    // env(safe-area-inset-*) only resolves inside CSS, so read it back off a
+    // hidden fixed probe. Created on first use, removed on destroy.
+    _readSafeArea() {
+	const s = this._state;
+	if (!s.safeProbe) {
+	    const doc = this._getDoc();
+	    if (!doc.body) return null;
+	    const el = doc.createElement('div');
+	    el.setAttribute('aria-hidden', 'true');
+	    el.style.cssText = 'position:fixed;top:0;left:0;width:0;height:0;visibility:hidden;pointer-events:none;'
+		+ 'padding:env(safe-area-inset-top,0px) env(safe-area-inset-right,0px)'
+		+ ' env(safe-area-inset-bottom,0px) env(safe-area-inset-left,0px);';
+	    doc.body.appendChild(el);
+	    s.safeProbe = el;
+	    s.cleanup.push(() => { el.remove(); s.safeProbe = null; });
+	}
+	const cs = this._getWin().getComputedStyle(s.safeProbe);
+	return {
+	    top: parseFloat(cs.paddingTop) || 0,
+	    right: parseFloat(cs.paddingRight) || 0,
+	    bottom: parseFloat(cs.paddingBottom) || 0,
+	    left: parseFloat(cs.paddingLeft) || 0,
+	};
+    }
+
+    // Height of the on-screen keyboard in CSS px (0 when closed/unknown)
+    _measureKeyboard() {
+	const s = this._state;
+	const w = this._getWin();
+	try {
+	    if (s.keyboard.source === 'virtualKeyboard') {
+		const r = w.navigator.virtualKeyboard.boundingRect;
+		return r ? r.height : 0;
+	    }
+	    const vv = w.visualViewport;
+	    if (!vv) return 0;
+	    // Layout viewport vs. visual viewport; scale keeps pinch zoom out of it
+	    return Math.max(0, Math.round(w.innerHeight - vv.height * (vv.scale || 1)));
+	} catch (_) {
+	    return 0;
+	}
+    }
+
+    _updateKeyboard() {
+	const s = this._state;
+	if (!s || !s.detectKeyboard) return;
+	const kb = s.keyboard;
+	const h = this._measureKeyboard();
+	// the VirtualKeyboard API reports exactly; the viewport diff needs slack
+	// for URL bars and accessory strips
+	const isOpen = kb.source === 'virtualKeyboard' ? h > 0 : h > s.keyboardThreshold;
+	const height = isOpen ? h : 0;
+	if (isOpen === kb.isOpen && height === kb.height) return;
+
+	if (isOpen && !kb.isOpen) kb.frozenVH = s.lastVH;
+	if (!isOpen) kb.frozenVH = null;
+	kb.isOpen = isOpen;
+	kb.height = height;
+	this._emit('keyboardchange', { isOpen, height, source: kb.source });
+    }
+
+    // Current zoom. Browser zoom has no API: outer/inner width is a good
+    // estimate on desktop; elsewhere use devicePixelRatio against its value
+    // at enable().
+    _measureZoom() {
+	const w = this._getWin();
+	const s = this._state;
+	const dpr = w.devicePixelRatio || 1;
+	let scale = 1;
+	try { scale = (w.visualViewport && w.visualViewport.scale) || 1; } catch (_) { scale = 1; }
+
+	let browserZoom = dpr / s.baseDpr;
+	if (w.outerWidth > 0 && w.innerWidth > 0 && scale === 1) {
+	    browserZoom = w.outerWidth / w.innerWidth;
+	}
+	browserZoom = Math.round(browserZoom * 100) / 100;
+
+	return {
+	    scale,
+	    dpr,
+	    browserZoom,
+	    pinch: scale > 1.01,
+	    browser: Math.abs(browserZoom - 1) > 0.05,
+	};
+    }
+
+    _updateZoom() {
+	const s = this._state;
+	if (!s) return;
+	const z = this._measureZoom();
+	const prev = s.zoom;
+	s.zoom = z;
+	if (prev && prev.scale === z.scale && prev.dpr === z.dpr && prev.browserZoom === z.browserZoom) return;
+	this._emit('zoomchange', { ...z });
+    }
+
+    // Commit the CSS variables immediately (internal); one pass per frame
+    _commitVH() {
+	const s = this._state;
+	if (!s) return;
+	this._updateZoom();
+	this._updateKeyboard();
+	const m = this._calcMetrics();
+	if (!m || m.vh == null) return;
+
+	const style = this._getDocEl().style;
+	for (const metric in s.cssVars) {
+	    const v = m[metric];
+	    const name = s.cssVars[metric];
+	    // another (higher) instance owns this variable right now
+	    if (v == null || this._coord.owner(`css:${name}`) !== this) continue;
+	    style.setProperty(name, metric === 'scale' ? String(v) : `${v}px`);
+	}
+	this._commitSizes();
+
+	if (m.vh !== s.lastVH) {
+	    s.lastVH = m.vh;
+	    this._emit('vh', { ...this._metrics(), value: m.vh, cssVarName: s.cssVarName, metrics: m });
+	}
+    }
+
+    // Container size variables
+    // ------------------------
+    // observe() registrations are wired while enabled: the ResizeObserver only
+    // records sizes and schedules the usual frame, _commitSizes() writes them
+    // next to the root variables. s.sizes.els: element → { width, height,
+    // written: Map(varName → { prev, priority, value }) }.
+
+    _wireSizeObserver() {
+	const s = this._state;
+	if (!s) return;
+	const RO = this._getWin().ResizeObserver;
+	const sizes = { ro: null, els: new Map() };
+	if (typeof RO === 'function') {
+	    sizes.ro = new RO((entries) => {
+		for (const entry of entries) {
+		    const rec = sizes.els.get(entry.target);
+		    if (!rec) continue;
+		    const box = entry.borderBoxSize && (entry.borderBoxSize[0] || entry.borderBoxSize);
+		    rec.width = box ? box.inlineSize : entry.contentRect.width;
+		    rec.height = box ? box.blockSize : entry.contentRect.height;
+		}
+		this._setVH();
+	    });
+	}
+	s.sizes = sizes;
+	for (const el of this._observed.keys()) this._watchSize(el);
+
+	s.cleanup.push(() => {
+	    if (sizes.ro) sizes.ro.disconnect();
+	    for (const [el, rec] of sizes.els) {
+		for (const name of [...rec.written.keys()]) this._restoreSizeVar(el, rec, name);
+	    }
+	    sizes.els.clear();
+	    s.sizes = null;
+	});
+    }
+
+    _watchSize(el) {
+	const sizes = this._state?.sizes;
+	if (!sizes) return;
+	if (!sizes.els.has(el)) {
+	    sizes.els.set(el, { width: null, height: null, written: new Map() });
+	    if (sizes.ro) sizes.ro.observe(el);
+	}
+	this._setVH();
+    }
+
+    _unwatchSize(el) {
+	const sizes = this._state?.sizes;
+	const rec = sizes && sizes.els.get(el);
+	if (!rec) return;
+	for (const name of [...rec.written.keys()]) this._restoreSizeVar(el, rec, name);
+	if (sizes.ro) sizes.ro.unobserve(el);
+	sizes.els.delete(el);
+    }
+
+    _restoreSizeVar(el, rec, name) {
+	const w = rec.written.get(name);
+	if (!w) return;
+	rec.written.delete(name);
+	if (w.prev) el.style.setProperty(name, w.prev, w.priority);
+	else el.style.removeProperty(name);
+    }
+
+    // Write observed sizes that changed since the last frame
+    _commitSizes() {
+	const sizes = this._state.sizes;
+	if (!sizes) return;
+	for (const [el, rec] of sizes.els) {
+	    if (!sizes.ro) {
+		rec.width = el.offsetWidth;
+		rec.height = el.offsetHeight;
+	    }
+	    const vars = this._observed.get(el);
+	    if (!vars) continue;
+	    for (const [name, axis] of vars) {
+		if (rec[axis] == null) continue;
+		const value = `${Math.round(rec[axis] * 100) / 100}px`;
+		let w = rec.written.get(name);
+		if (!w) {
+		    w = { prev: el.style.getPropertyValue(name), priority: el.style.getPropertyPriority(name), value: null };
+		    rec.written.set(name, w);
+		}
+		if (w.value === value) continue;
+		el.style.setProperty(name, value);
+		w.value = value;
+	    }
+	}
+    }
+
+    // Public-friendly refresh that’s rAF-throttled
+    _setVH() {
+	const s = this._state;
+	if (!s) return;
+	const win = this._getWin();
+	if (s.raf) win.cancelAnimationFrame(s.raf);
+	s.raf = win.requestAnimationFrame(() => {
+	    s.raf = null;
+	    this._commitVH();
+	});
+    }
+
+    _onWheel(e) {
+	if (!this._state) return;
+	const target = this._eventTarget(e, 'pointer');
+	// wheel fires while content scrolls under a resting pointer; keep intent fresh
+	if (this._state.trackPointer) this._notePointer(target);
+	if (!e.ctrlKey) return;
+	const zoomLevel = this._getWin().devicePixelRatio || 1;
+	const zoomingIn = e.deltaY < 0;
+	if (zoomingIn ? zoomLevel < this._state.maxZoom : zoomLevel > this._state.minZoom) return;
+	if (this._policyFor(target).zoom) this._allow(e, 'ctrl-wheel', target, null, 'region');
+	else this._blockZoom(e, 'ctrl-wheel', target);
+    }
+
+    _wirePointerIntent() {
+	if (!this._state) return;
+	const { handlers, cleanup } = this._state;
+	const win = this._getWin();
+
+	// Remember the last element under the pointer (mouse, pen, touch).
+	// The event already carries its target, so no elementFromPoint per move.
+	handlers.onPointerMove = (e) => {
+	    const path = typeof e.composedPath === 'function' ? e.composedPath() : null;
+	    this._notePointer((path && path.length ? path[0] : e.target) || null);
+	};
+	// Pointer left the window: keys should no longer count as "over" anything
+	handlers.onPointerOut = (e) => {
+	    if (!e.relatedTarget) this._notePointer(null);
+	};
+
+	cleanup.push(
+	    this._listen(win, 'pointermove', handlers.onPointerMove, { passive: true }),
+	    this._listen(win, 'pointerdown', handlers.onPointerMove, { passive: true }),
+	    this._listen(win, 'pointerout', handlers.onPointerOut, { passive: true }),
+	);
+    }
+
+    _notePointer(el) {
+	if (this._state) this._state.lastPointerEl = el;
+    }
+
+    // Focused element, drilling through open shadow roots. Null when focus is
+    // "nowhere" (body/html), which is the common case for page-level shortcuts.
+    _focusTarget() {
+	const doc = this._getDoc();
+	let a = doc.activeElement;
+	for (;;) {
+	    let inner = null;
+	    if (a && a.shadowRoot) inner = a.shadowRoot.activeElement;
+	    else if (a && a.tagName === 'IFRAME') {
+		try { inner = a.contentDocument && a.contentDocument.activeElement; } catch { inner = null; }
+	    }
+	    if (!inner || inner === a) break;
+	    a = inner;
+	}
+	if (!a || a === doc.body || a === doc.documentElement) return null;
+	return a;
+    }
+
+    _pointerTarget() {
+	const el = this._state?.lastPointerEl;
+	return (el && el.isConnected !== false) ? el : null;
+    }
+
+    /**
+     * Resolve the element an event is judged against, per `targetMode`.
+     *   target  – the event's own target (composed path first).
+     *   focus   – the focused element, else the event target.
+     *   pointer – keys use the last element under the pointer; wheel/touch
+     *             already carry the pointer location, so they use their target.
+     *   hybrid  – keys use real focus, then the pointer; wheel/touch as pointer.
+     * @param {Event} e
+     * @param {'key'|'pointer'} kind  origin of the event
+     */
+    _eventTarget(e, kind) {
+	const mode = this._state?.targetMode || 'target';
+	const path = typeof e.composedPath === 'function' ? e.composedPath() : null;
+	const direct = (path && path.length ? path[0] : e.target) || null;
+
+	if (mode === 'target') return direct;
+	if (mode === 'focus') return this._focusTarget() || direct;
+	if (kind === 'pointer') return direct;
+	if (mode === 'pointer') return this._pointerTarget() || direct;
+	return this._focusTarget() || this._pointerTarget() || direct; // hybrid
+    }
+
+    /**
+       keyboard blocking modes:
+    true == will kill all keyboard events with ctrl/meta held.
+    false == ignores keyboard events
+    array of objects, block only these combos.
+
+    `guards` presets are checked first and apply in every mode.
+
+    which element counts as "where the key happened" is decided by targetMode;
+    with 'target' that is nearly always document.body, so use 'pointer' or
+    'hybrid' when allowed regions should work without focus.
+    */
+    _onKeyDown(e) {
+	const s = this._state;
+	if (!s) return;
+
+	// the a11y unlock shortcut ('all' listeners run first) is never blocked
+	if (UNLOCK_EVENTS.has(e)) return;
+	// a modifier going down on its own is no combo yet
+	if (MODIFIER_KEYS.includes(e.key)) return;
+
+	const kc = s.opts.keyboardCombos;
+	let matched = null;
+	let guard = null;
+
+	// Guard presets: 'reload', 'navigation', ... (Backspace & co. only
+	// count when the key doesn't go to an input)
+	const g = matchGuard(s.guards, e, isTypable(this._keyOrigin(e)));
+	if (g) {
+	    matched = g.sc.source;
+	    guard = { guard: g.guard };
+	} else if (kc === false) {
+	    // Mode A: false → ignore everything
+	    return;
+	} else if (kc === true || s.keyboardMode === 'allow') {
+	    // Mode B: true → block ANY keypress with Ctrl or Meta held;
+	    // allowlist → any with the platform's Mod, except the listed combos
+	    const held = kc === true ? (e.ctrlKey || e.metaKey) : (s.mac ? e.metaKey : e.ctrlKey);
+	    if (held && !s.combos.some(sc => matchShortcut(sc, e))) {
+		matched = describeEvent(e);
+	    }
+	} else {
+	    // Mode C: blocklist → block only the listed combos (parsed at enable)
+	    const sc = s.combos.find(sc => matchShortcut(sc, e));
+	    if (sc) matched = sc.source;
+	}
+	if (!matched) return;
+
+	// The region around the target may let this key (or every key) through
+	const reason = guard ? 'guard' : 'key-combo';
+	const target = this._eventTarget(e, 'key');
+	const policy = this._policyFor(target);
+	if (policy.keys === 'all' || (Array.isArray(policy.keys) && policy.keys.some(sc => matchShortcut(sc, e)))) {
+	    this._allow(e, reason, target, matched, 'region', guard);
+	    return;
+	}
+	const zoomKey = guard ? guard.guard === 'zoom' : s.zoomCombos.some(sc => matchShortcut(sc, e));
+	if (zoomKey) this._blockZoom(e, reason, target, matched, guard);
+	else this._block(e, reason, target, matched, guard);
+    }
+
+    // Element the key actually goes to (focus), whatever targetMode says
+    _keyOrigin(e) {
+	const path = typeof e.composedPath === 'function' ? e.composedPath() : null;
+	return (path && path.length ? path[0] : e.target) || null;
+    }
+
+    // 'beforeunload' guard: the browser's "Leave site?" prompt. Vetoable
+    // through onBeforeBlock, e.g. to ask only while there are unsaved changes.
+    _onBeforeUnload(e) {
+	if (!this._state) return;
+	if (this._block(e, 'guard', null, 'beforeunload', { guard: 'beforeunload' })) {
+	    e.returnValue = ''; // older browsers need returnValue set
+	}
+    }
+
+    
+    d_onKeyDown(e) {
+	if (!this._state) return;
+	if (!e.ctrlKey && !e.metaKey) return; // allow Cmd on macOS to count
+	const k = e.key;
+	if (k === '+' || k === '-' || k === '=' || k === 'Add' || k === 'Subtract') {
+            if (!this._isInsideAllowed(e.target)) {
+		e.preventDefault();
+            }
+	}
+    }
+
+
+    _onTouchStart(e) {
+	const s = this._state;
+	if (!s) return;
+	// Extra fingers join the gesture the first finger started
+	if (e.touches && e.touches.length > 1) {
+	    s.multiTouch = true;
+	    return;
+	}
+	const target = this._eventTarget(e, 'pointer');
+	const t = e.touches && e.touches[0];
+	s.touchTarget = target;
+	s.touchPolicy = this._policyFor(target);
+	s.touchStart = t ? {
+	    x: t.clientX,
+	    y: t.clientY,
+	    edge: t.clientX <= EDGE_SWIPE_PX || t.clientX >= this._getWin().innerWidth - EDGE_SWIPE_PX,
+	} : null;
+    }
+
+    // Touch zoom for browsers without gesture* events (Chrome, Firefox):
+    // a multi-touch move is a pinch; a quick second tap near the first is a
+    // double-tap zoom. Both follow the policy of the first finger's target.
+    _onPinchMove(e) {
+	const s = this._state;
+	if (!s || !e.cancelable || !e.touches || e.touches.length < 2) return;
+	const target = s.touchTarget || e.target;
+	if (s.touchPolicy.zoom) this._allow(e, 'pinch', target, null, 'region');
+	else if (this._inputZoomAllowed()) this._allow(e, 'pinch', target, null, 'input');
+	else this._blockZoom(e, 'pinch', target);
+    }
+
+    _onTouchEnd(e) {
+	const s = this._state;
+	if (!s || (e.touches && e.touches.length)) return;
+	const wasMulti = s.multiTouch;
+	s.multiTouch = false;
+	const t = e.changedTouches && e.changedTouches[0];
+	if (!s.blockDoubleTap || wasMulti || !t) {
+	    s.lastTap = null;
+	    return;
+	}
+
+	const now = e.timeStamp || Date.now();
+	const prev = s.lastTap;
+	s.lastTap = { time: now, x: t.clientX, y: t.clientY };
+	if (!prev || now - prev.time > DOUBLE_TAP_MS) return;
+	if (Math.hypot(t.clientX - prev.x, t.clientY - prev.y) > DOUBLE_TAP_PX) return;
+
+	s.lastTap = null; // a third tap starts over
+	const target = s.touchTarget || e.target;
+	if (!e.cancelable) return;
+	if (s.touchPolicy.zoom) this._allow(e, 'double-tap', target, null, 'region');
+	else if (isTypable(target) || isInteractive(target) || this._inputZoomAllowed()) this._allow(e, 'double-tap', target, null, 'input');
+	else this._blockZoom(e, 'double-tap', target);
+    }
+
+
+    _onGesture(e) {
+	// Uses the policy recorded by _onTouchStart; pinch is a zoom
+	const s = this._state;
+	if (!s) return;
+	const target = s.touchTarget || e.target;
+	if (s.touchPolicy.zoom) this._allow(e, 'gesture', target, null, 'region');
+	else if (this._inputZoomAllowed()) this._allow(e, 'gesture', target, null, 'input');
+	else this._blockZoom(e, 'gesture', target);
+    }
+
+    // inputZoom: pinch is let through while a typable element has focus
+    _inputZoomAllowed() {
+	const s = this._state;
+	if (!s || s.inputZoom === 'block') return false;
+	return isTypable(this._focusTarget());
+    }
+
+    _viewportMeta() {
+	return this._getDoc().querySelector('meta[name="viewport"]');
+    }
+
+    // Managed viewport meta
+    // ---------------------
+    // Shared page state: the first manager snapshots the tag, the topmost one
+    // writes it, the last release restores the exact original content (or
+    // removes the tag if we created it).
+
+    // `viewportMeta` option → { 'kebab-key': value|null } or null when off
+    _resolveViewportMeta(opt) {
+	if (!opt) return null;
+	const src = opt === true ? VIEWPORT_META_DEFAULTS : opt;
+	const out = {};
+	for (const key in src) {
+	    const v = src[key];
+	    const name = key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+	    out[name] = v == null ? null : (typeof v === 'boolean' ? (v ? 'yes' : 'no') : String(v));
+	}
+	return out;
+    }
+
+    _wireViewportMeta() {
+	const s = this._state;
+	if (!s || !s.viewportMeta || s.metaRelease) return;
+	const existing = this._viewportMeta();
+	s.metaBase = existing ? existing.getAttribute('content') : null;
+
+	s.metaRelease = this._claim('viewport-meta', () => {
+	    const prev = existing ? existing.getAttribute('content') : null;
+	    return () => {
+		if (!existing) {
+		    const made = this._getDoc().querySelector('meta[name="viewport"][data-page-cement]');
+		    if (made) made.remove();
+		} else if (prev == null) existing.removeAttribute('content');
+		else existing.setAttribute('content', prev);
+	    };
+	}, () => this._applyViewportMeta());
+	s.cleanup.push(() => this._releaseViewportMeta());
+	this._applyViewportMeta();
+    }
+
+    _releaseViewportMeta() {
+	const s = this._state;
+	if (!s || !s.metaRelease) return false;
+	const release = s.metaRelease;
+	s.metaRelease = null;
+	release();
+	return true;
+    }
+
+    // Write our settings over the content the tag had when we took it over
+    _applyViewportMeta() {
+	const s = this._state;
+	if (!s || !s.viewportMeta || this._coord.owner('viewport-meta') !== this) return false;
+
+	let meta = this._viewportMeta();
+	if (!meta) {
+	    const doc = this._getDoc();
+	    meta = doc.createElement('meta');
+	    meta.setAttribute('name', 'viewport');
+	    meta.setAttribute('data-page-cement', '');
+	    (doc.head || doc.documentElement).appendChild(meta);
+	}
+
+	const content = parseViewportContent(s.metaBase || 'width=device-width');
+	const unlocked = this._zoomUnlocked();
+	for (const key in s.viewportMeta) {
+	    if (unlocked && ZOOM_META_KEYS.includes(key)) continue;
+	    const v = s.viewportMeta[key];
+	    if (v == null) content.delete(key);
+	    else content.set(key, v);
+	}
+	meta.setAttribute('content', serializeViewportContent(content));
+	return true;
+    }
+
+    /**
+     * Change the managed viewport meta at runtime, e.g. relax it while an
+     * allowed region has focus: setViewportMeta({ maximumScale: 5, userScalable: true }).
+     * Keys merge into the current settings; null drops a key. Pass false to
+     * stop managing the tag (restores the original). Without the
+     * viewportMeta feature only the option is kept.
+     * @param {object|boolean} partial
+     * @returns {boolean} true if the tag was updated
+     */
+    setViewportMeta(partial) {
+	if (partial === false) {
+	    this.opts.viewportMeta = false;
+	    if (this._state) this._state.viewportMeta = null;
+	    return this._releaseViewportMeta();
+	}
+
+	const cur = this.opts.viewportMeta;
+	const base = cur === true ? VIEWPORT_META_DEFAULTS : (cur && typeof cur === 'object' ? cur : {});
+	this.opts.viewportMeta = { ...base, ...(partial && typeof partial === 'object' ? partial : {}) };
+
+	const s = this._state;
+	if (!s) return false;
+	s.viewportMeta = this._resolveViewportMeta(this.opts.viewportMeta);
+	if (!s.features.has('viewportMeta')) return false;
+	if (!s.metaRelease) {
+	    this._wireViewportMeta();
+	    return !!s.metaRelease;
+	}
+	return this._applyViewportMeta();
+    }
+
+    // Snap pinch zoom back to scale 1: briefly clamp the viewport meta tag,
+    // then put the original back (or remove the one we made).
+    // Returns true when a restore is running (started now or already pending)
+    _restoreScale() {
+	const s = this._state;
+	if (!s) return false;
+	if (s.scaleRestore) return true;
+	if (this._zoomUnlocked()) return false; // the user asked for zoom
+
+	const vv = this._getWin().visualViewport;
+	if (vv && typeof vv.scale === 'number' && vv.scale <= 1) return false;
+
+	const existing = this._viewportMeta();
+	const doc = this._getDoc();
+	const meta = existing || doc.createElement('meta');
+	const prev = existing ? existing.getAttribute('content') : null;
+	if (!existing) {
+	    if (!doc.head) return false;
+	    meta.setAttribute('name', 'viewport');
+	    doc.head.appendChild(meta);
+	}
+
+	const clamped = parseViewportContent(prev || 'width=device-width');
+	clamped.set('initial-scale', '1');
+	clamped.set('maximum-scale', '1');
+	meta.setAttribute('content', serializeViewportContent(clamped));
+
+	const undo = () => {
+	    // a managed tag may have been changed meanwhile: re-apply, don't rewind
+	    if (this._state && this._state.metaRelease) this._applyViewportMeta();
+	    else if (!existing) meta.remove();
+	    else if (prev == null) meta.removeAttribute('content');
+	    else meta.setAttribute('content', prev);
+	};
+	// WebKit needs the clamp to be live for a layout pass before it re-zooms
+	s.scaleRestore = {
+	    undo,
+	    timer: this._getWin().setTimeout(() => {
+		s.scaleRestore = null;
+		undo();
+		this._setVH();
+	    }, 300),
+	};
+	return true;
+    }
+
+    
+    _compileGuards(opt, mac) {
+	const guards = compileGuards(opt, { mac });
+	if (guards.unknown.length) this._log('warn', 'unknown guards ignored', guards.unknown, true);
+	return guards;
+    }
+
+    // keyboardCombos → list of shortcuts to compile
+    _comboList(kc) {
+	if (Array.isArray(kc)) return kc;
+	if (kc === 'zoom') return DEFAULT_KEYBOARD_COMBOS;
+	if (typeof kc === 'string' || (kc && typeof kc === 'object')) return [kc];
+	return [];
+    }
+
+    _initState(opts) {
+	if (!opts || typeof opts !== 'object') opts = {};
+
+	// normalize once; keep source of truth in state.opts
+	const kc = (opts.keyboardCombos ?? false);
+	const normalizedOpts = { ...opts, keyboardCombos: kc };
+	const mac = isMacLike(this._getWin().navigator);
+	const cssVarName = normalizedOpts.cssVarName || '--vh';
+	const cssVars = resolveCssVars(normalizedOpts.cssVars, cssVarName, normalizedOpts.detectKeyboard);
+	const targetMode = TARGET_MODES.includes(normalizedOpts.targetMode) ? normalizedOpts.targetMode : 'target';
+
+	this._state = {
+	    opts: normalizedOpts,
+	    mac,
+	    combos: compileShortcuts(this._comboList(kc), { mac }),
+	    guards: this._compileGuards(normalizedOpts.guards, mac),
+	    keyboardMode: normalizedOpts.keyboardMode === 'allow' ? 'allow' : 'block',
+	    cssVarName,
+	    cssVars,
+	    varReleases: /** @type {Map<string, () => void>} */ (new Map()),
+	    stable: { width: 0, min: 0, max: 0 },
+	    safeProbe: /** @type {HTMLElement|null} */ (null),
+	    detectKeyboard: !!normalizedOpts.detectKeyboard,
+	    keyboardThreshold: Number.isFinite(normalizedOpts.keyboardThreshold) ? normalizedOpts.keyboardThreshold : 150,
+	    freezeVHOnKeyboard: !!normalizedOpts.freezeVHOnKeyboard,
+	    useVirtualKeyboard: normalizedOpts.virtualKeyboard !== false,
+	    keyboard: { isOpen: false, height: 0, source: 'visualViewport', frozenVH: /** @type {number|null} */ (null) },
+	    maxZoom: Number.isFinite(normalizedOpts.maxZoom) ? normalizedOpts.maxZoom : 1,
+	    minZoom: Number.isFinite(normalizedOpts.minZoom) ? normalizedOpts.minZoom : 0,
+	    autoResetZoom: !!normalizedOpts.autoResetZoom,
+	    baseDpr: this._getWin().devicePixelRatio || 1,
+	    zoom: /** @type {object|null} */ (null),
+	    offZoomQuery: /** @type {(() => void)|null} */ (null),
+	    lockScroll: !!normalizedOpts.lockScroll,
+	    scrollbarGutter: !!normalizedOpts.scrollbarGutter,
+	    scrollLock: /** @type {{ release: (() => void)|null, offReady: (() => void)|null, offTouch: () => void }|null} */ (null),
+	    useVisualViewport: normalizedOpts.useVisualViewport !== false,
+	    targetMode,
+	    inputZoom: INPUT_ZOOM_MODES.includes(normalizedOpts.inputZoom) ? normalizedOpts.inputZoom : 'block',
+	    viewportMeta: this._resolveViewportMeta(normalizedOpts.viewportMeta),
+	    metaBase: /** @type {string|null} */ (null),
+	    metaRelease: /** @type {(() => void)|null} */ (null),
+	    scaleRestore: /** @type {{ undo: () => void, timer: any }|null} */ (null),
+	    trackPointer: targetMode === 'pointer' || targetMode === 'hybrid',
+	    lastPointerEl: /** @type {Element|null} */ (null),
+	    allowStrategy: this._pickAllowStrategy(normalizedOpts.allowStrategy),
+	    rules: /** @type {object[]} */ ([]),
+	    allowDirty: true,
+	    touchPolicy: NO_POLICY,
+	    touchTarget: /** @type {Node|null} */ (null),
+	    multiTouch: false,
+	    lastTap: /** @type {{ time: number, x: number, y: number }|null} */ (null),
+	    blockPinch: normalizedOpts.blockPinch !== false,
+	    blockDoubleTap: normalizedOpts.blockDoubleTap !== false,
+	    touchAction: typeof normalizedOpts.touchAction === 'string' ? normalizedOpts.touchAction : null,
+	    iframes: !!normalizedOpts.iframes,
+	    features: this._resolveFeatures(normalizedOpts.features),
+	    a11y: this._resolveA11y(normalizedOpts.a11y, mac),
+	    zoomUnlocked: false,        // session zoom unlock (a11y), read lazily
+	    zoomCombos: compileShortcuts(DEFAULT_KEYBOARD_COMBOS, { mac }), // which blocks _blockZoom() takes
+	    applyTouchAction: /** @type {(() => void)|null} */ (null),
+	    styles: this._resolveStyles(normalizedOpts.injectStyles),
+	    ctx: /** @type {PageCementFeatureContext|null} */ (null),
+	    markup: normalizedOpts.markup !== false,
+	    touchStart: /** @type {{ x: number, y: number, edge: boolean }|null} */ (null),
+	    lastVH: /** @type {number|null} */ (null),
+	    sizes: /** @type {{ ro: ResizeObserver|null, els: Map<Element, object> }|null} */ (null),
+	    cleanup: /** @type {(() => void)[]} */ ([]),
+	    raf: /** @type {number|null} */ (null),
+	    handlers: {}
+	};
+
+	return this._state;
+    }
+
+
+    // `features` option → Map(name → feature) to wire, dependencies added,
+    // in registration order
+    _resolveFeatures(option) {
+	let wanted;
+	if (typeof option === 'string' || Array.isArray(option)) {
+	    wanted = new Set([].concat(option).flatMap(v => String(v).split(/[\s,]+/)).filter(Boolean));
+	} else {
+	    wanted = new Set([...FEATURES.values()].filter(f => f.default).map(f => f.name));
+	    if (option && typeof option === 'object') {
+		for (const [name, on] of Object.entries(option)) {
+		    if (on) wanted.add(name);
+		    else wanted.delete(name);
+		}
+	    }
+	}
+	const unknown = [...wanted].filter(name => !FEATURES.has(name));
+	if (unknown.length) this._log('warn', 'unknown features ignored', unknown, true);
+
+	const queue = [...wanted];
+	while (queue.length) {
+	    const feature = FEATURES.get(queue.pop());
+	    if (!feature) continue;
+	    for (const name of feature.requires) {
+		if (!wanted.has(name)) { wanted.add(name); queue.push(name); }
+	    }
+	}
+	return new Map([...FEATURES].filter(([name]) => wanted.has(name)));
+    }
+
+    _setupFeature(feature) {
+	const s = this._state;
+	try {
+	    const teardown = feature.setup(s, this._featureContext());
+	    if (typeof teardown === 'function') s.cleanup.push(teardown);
+	} catch (err) {
+	    this._log('warn', `feature "${feature.name}" setup threw`, err, true);
+	}
+    }
+
+    // What features get besides the state bag: the plumbing built-ins use
+    _featureContext() {
+	const s = this._state;
+	if (!s.ctx) {
+	    s.ctx = Object.freeze({
+		cement: this,
+		window: this._getWin(),
+		document: this._getDoc(),
+		cleanup: s.cleanup,
+		listen: (target, type, handler, options, mode) => this._listen(target, type, handler, options, mode),
+		claim: (key, acquire, onOwn) => this._claim(key, acquire, onOwn),
+		policyFor: (target) => this._policyFor(target),
+		eventTarget: (e, kind) => this._eventTarget(e, kind),
+		block: (e, reason, target, extra) => this._block(e, reason, target, null, extra),
+		allow: (e, reason, target, allowedBy = 'region', extra) => this._allow(e, reason, target, null, allowedBy, extra),
+		refresh: () => this._setVH(),
+		log: (level, msg, data) => this._log(level, msg, data),
+	    });
+	}
+	return s.ctx;
+    }
+
+    // Shared listener through the window coordinator; returns the unsubscribe.
+    // mode 'top': only the topmost enabled instance that listens gets it.
+    _listen(target, type, handler, options = {}, mode = 'all') {
+	return this._coord.listen(this, target, type, handler, options, mode);
+    }
+
+    // Reference-counted shared state; returns the release
+    _claim(key, acquire, onOwn) {
+	return this._coord.claim(key, this, acquire, onOwn);
+    }
+
+    // Own every variable we write. The first claimant snapshots the prior
+    // value and the last release restores it; in between the topmost
+    // claimant writes, and regains it (re-commits) when a higher one leaves.
+    // Names already held are kept, so this also picks up renamed variables.
+    _claimCssVars() {
+	const s = this._state;
+	const el = this._getDocEl();
+	const win = this._getWin();
+	for (const name of new Set(Object.values(s.cssVars))) {
+	    if (s.varReleases.has(name)) continue;
+	    s.varReleases.set(name, this._claim(`css:${name}`, () => {
+		const prev = this._adoptSnippetVar(name) ? '' : win.getComputedStyle(el).getPropertyValue(name);
+		return () => {
+		    if (prev && prev.trim() !== '') {
+			el.style.setProperty(name, prev);
+		    } else {
+			el.style.removeProperty(name);
+		    }
+		};
+	    }, () => this._setVH()));
+	}
+    }
+
+    // headSnippet() wrote `name` before the bundle loaded: it's ours now, so
+    // there is no prior value to bring back on release
+    _adoptSnippetVar(name) {
+	const el = this._getDocEl();
+	const written = (el.getAttribute(SSR_ATTR) || '').split(/\s+/).filter(Boolean);
+	if (!written.includes(name)) return false;
+	const rest = written.filter(n => n !== name);
+	if (rest.length) el.setAttribute(SSR_ATTR, rest.join(' '));
+	else el.removeAttribute(SSR_ATTR);
+	return true;
+    }
+
+    // Hand back variables s.cssVars no longer names (all of them with `all`)
+    _releaseCssVars(all = false) {
+	const s = this._state;
+	const names = new Set(Object.values(s.cssVars));
+	for (const [name, release] of s.varReleases) {
+	    if (!all && names.has(name)) continue;
+	    s.varReleases.delete(name);
+	    release();
+	}
+    }
+
+    _wireDomReady() {
+	if (!this._state) return;
+	const { handlers, cleanup } = this._state;
+	const doc = this._getDoc();
+	if (doc.readyState === 'loading') {
+	    handlers.onReady = () => this._setVH();
+	    cleanup.push(this._listen(doc, 'DOMContentLoaded', handlers.onReady));
+	}
+    }
+
+
+    _wireViewport() {
+	if (!this._state) return;
+	const { handlers, cleanup } = this._state;
+	const win = this._getWin();
+
+	handlers.onResize = () => this._setVH();
+	cleanup.push(this._listen(win, 'resize', handlers.onResize, { passive: true }));
+
+	handlers.onOrientation = () => this._setVH();
+	cleanup.push(this._listen(win, 'orientationchange', handlers.onOrientation));
+
+	let vv = null;
+	try { vv = win.visualViewport || null; } catch { vv = null; }
+	if (vv) {
+	    handlers.onVV = () => this._setVH();
+	    cleanup.push(
+		this._listen(vv, 'resize', handlers.onVV, { passive: true }),
+		this._listen(vv, 'scroll', handlers.onVV, { passive: true }),
+	    );
+	}
+    }
+
+    // devicePixelRatio changes (browser zoom, moving to another screen) only
+    // surface through a resolution media query, re-armed for each new value.
+    _wireZoomTracking() {
+	const s = this._state;
+	if (!s) return;
+	const w = this._getWin();
+	if (typeof w.matchMedia !== 'function') return;
+
+	const arm = () => {
+	    if (s.offZoomQuery) s.offZoomQuery();
+	    const mql = w.matchMedia(`(resolution: ${w.devicePixelRatio || 1}dppx)`);
+	    s.offZoomQuery = this._listen(mql, 'change', () => {
+		arm();
+		this._setVH();
+	    });
+	};
+	arm();
+	s.cleanup.push(() => {
+	    if (s.offZoomQuery) s.offZoomQuery();
+	    s.offZoomQuery = null;
+	});
+    }
+
+    // Keyboard detection rides on the viewport listeners; the VirtualKeyboard
+    // API (Chromium) only reports geometry when it overlays content.
+    _wireKeyboard() {
+	const s = this._state;
+	if (!s || !s.detectKeyboard) return;
+	const { handlers, cleanup } = s;
+
+	let vk = null;
+	try { vk = (s.useVirtualKeyboard && this._getWin().navigator.virtualKeyboard) || null; } catch { vk = null; }
+	if (!vk) return;
+
+	// Shared: overlaysContent goes back only when the last detector is gone
+	cleanup.push(this._claim('virtual-keyboard', () => {
+	    const prevOverlays = vk.overlaysContent;
+	    vk.overlaysContent = true;
+	    return () => { vk.overlaysContent = prevOverlays; };
+	}));
+	s.keyboard.source = 'virtualKeyboard';
+	handlers.onKeyboardGeometry = () => this._setVH();
+	cleanup.push(this._listen(vk, 'geometrychange', handlers.onKeyboardGeometry));
+    }
+
+    _wireWheel() {
+	if (!this._state) return;
+	const { handlers, cleanup } = this._state;
+	handlers.onWheel = (e) => this._onWheel(e);
+	cleanup.push(this._listen(this._getWin(), 'wheel', handlers.onWheel, { passive: false }, 'top'));
+    }
+
+    _wireKeyDown() {
+	if (!this._state) return;
+	const { handlers, cleanup } = this._state;
+	handlers.onKeyDown = (e) => this._onKeyDown(e);
+	cleanup.push(this._listen(this._getDoc(), 'keydown', handlers.onKeyDown, { passive: false }, 'top'));
+    }
+
+    _wireBeforeUnload() {
+	if (!this._state || !this._state.guards.behaviors.has('beforeunload')) return;
+	const { handlers, cleanup } = this._state;
+	handlers.onBeforeUnload = (e) => this._onBeforeUnload(e);
+	cleanup.push(this._listen(this._getWin(), 'beforeunload', handlers.onBeforeUnload, { passive: false }, 'top'));
+    }
+
+    _wireTouchStart() {
+	if (!this._state) return;
+	const { handlers, cleanup } = this._state;
+	handlers.onTouchStart = (e) => this._onTouchStart(e);
+	cleanup.push(this._listen(this._getDoc(), 'touchstart', handlers.onTouchStart, { passive: true, capture: true }));
+    }
+
+    _wireGesture() {
+	if (!this._state) return;
+	const { handlers, cleanup } = this._state;
+	const win = this._getWin();
 	handlers.onGesture = (e) => this._onGesture(e);
-	win.addEventListener('gesturestart', handlers.onGesture, { passive: false });
-	win.addEventListener('gesturechange', handlers.onGesture, { passive: false });
-	win.addEventListener('gestureend', handlers.onGesture, { passive: false });
+	cleanup.push(
+	    this._listen(win, 'gesturestart', handlers.onGesture, { passive: false }, 'top'),
+	    this._listen(win, 'gesturechange', handlers.onGesture, { passive: false }, 'top'),
+	    this._listen(win, 'gestureend', handlers.onGesture, { passive: false }, 'top'),
+	);
+    }
+
+    _wireTouchZoom() {
+	const s = this._state;
+	if (!s) return;
+	const { handlers, cleanup } = s;
+
+	if (s.blockPinch) {
+	    handlers.onPinchMove = (e) => this._onPinchMove(e);
+	    cleanup.push(this._listen(this._getDoc(), 'touchmove', handlers.onPinchMove, { passive: false }, 'top'));
+	}
+	// touchend also resets multi-touch tracking, so it is wired for pinch too
+	if (s.blockPinch || s.blockDoubleTap) {
+	    handlers.onTouchEnd = (e) => this._onTouchEnd(e);
+	    cleanup.push(this._listen(this._getDoc(), 'touchend', handlers.onTouchEnd, { passive: false }, 'top'));
+	}
+
+	// Optional CSS touch-action on <html>: one shared claim, the topmost
+	// holder's value applies, the last release restores the page's own
+	// (pinch-zoom added once the a11y unlock is on)
+	if (s.touchAction) {
+	    const html = this._getDocEl();
+	    const value = s.touchAction;
+	    const apply = s.applyTouchAction = () => {
+		html.style.touchAction = this._zoomUnlocked() ? withPinchZoom(value) : value;
+	    };
+	    cleanup.push(this._claim('touch-action', () => saveInlineStyle(html, ['touch-action']), apply));
+	    cleanup.push(() => { s.applyTouchAction = null; });
+	    if (this._coord.owner('touch-action') === this) apply();
+	}
+    }
+
+    // Page guards
+    // -----------
+    // Opt-in through `guards`. The touch guards share one touchmove handler
+    // and follow the `scroll` policy of the first finger's target; the
+    // context menu and selection guards follow `contextMenu` / `selection`.
+    // Inline styles they set are reference-counted and restored on destroy.
+
+    // Inline style on <html> and <body> while held; returns the release.
+    // One claim per property (the guards and the scroll lock share them):
+    // the topmost holder's value applies, the last release restores.
+    _claimPageStyle(prop, value) {
+	const doc = this._getDoc();
+	const els = () => [doc.documentElement, doc.body].filter(Boolean);
+	const apply = () => { for (const el of els()) el.style.setProperty(prop, value); };
+	const key = `style:${prop}`;
+	const release = this._claim(key, () => {
+	    const restores = els().map(el => saveInlineStyle(el, [prop]));
+	    return () => restores.forEach(restore => restore());
+	}, apply);
+	if (this._coord.owner(key) === this) apply();
+	return release;
+    }
+
+    _wireTouchGuards() {
+	const s = this._state;
+	if (!s) return;
+	const on = (name) => s.guards.behaviors.has(name);
+	if (!on('overscroll') && !on('pullToRefresh') && !on('edgeSwipe')) return;
+	const { handlers, cleanup } = s;
+
+	// CSS covers Chrome and Safari 16+; the touchmove check covers the rest
+	if (on('overscroll')) cleanup.push(this._claimPageStyle('overscroll-behavior', 'none'));
+	else if (on('pullToRefresh')) cleanup.push(this._claimPageStyle('overscroll-behavior-y', 'none'));
+	if (on('edgeSwipe')) cleanup.push(this._claimPageStyle('overscroll-behavior-x', 'none'));
+
+	handlers.onGuardTouchMove = (e) => this._onGuardTouchMove(e);
+	cleanup.push(this._listen(this._getDoc(), 'touchmove', handlers.onGuardTouchMove, { passive: false }, 'top'));
+    }
+
+    // Can something between `target` and the page scroll by `delta` on `axis`?
+    _canScroll(target, delta, axis) {
+	const win = this._getWin();
+	const doc = this._getDoc();
+	const y = axis === 'y';
+	for (let el = target && (target.nodeType === 1 ? target : composedParent(target));
+	     el && el !== doc.body && el !== doc.documentElement;
+	     el = composedParent(el)) {
+	    const cs = win.getComputedStyle(el);
+	    if (!SCROLLABLE.test(y ? cs.overflowY : cs.overflowX)) continue;
+	    const pos = y ? el.scrollTop : el.scrollLeft;
+	    const max = y ? el.scrollHeight - el.clientHeight : el.scrollWidth - el.clientWidth;
+	    // finger moving down/right scrolls towards the start
+	    if (delta > 0 ? pos > 0 : pos < max - 1) return true;
+	}
+	return false;
+    }
+
+    _onGuardTouchMove(e) {
+	const s = this._state;
+	if (!s || !e.cancelable || !s.touchStart) return;
+	if (s.multiTouch || (e.touches && e.touches.length > 1)) return; // pinch: the zoom guards decide
+	const t = e.touches && e.touches[0];
+	if (!t) return;
+	const on = (name) => s.guards.behaviors.has(name);
+	const dx = t.clientX - s.touchStart.x;
+	const dy = t.clientY - s.touchStart.y;
+	const target = s.touchTarget || e.target;
+	const win = this._getWin();
+	const html = this._getDocEl();
+
+	let reason = null;
+	if (Math.abs(dx) > Math.abs(dy)) {
+	    if (on('edgeSwipe') && s.touchStart.edge && !this._canScroll(target, dx, 'x')) reason = 'edge-swipe';
+	} else if (dy !== 0 && !this._canScroll(target, dy, 'y')) {
+	    // Nothing inside takes the move: does the page run out of room?
+	    const top = win.scrollY || html.scrollTop || 0;
+	    const atTop = top <= 0;
+	    const atBottom = top + win.innerHeight >= html.scrollHeight - 1;
+	    if (dy > 0 && atTop && on('pullToRefresh')) reason = 'pull-to-refresh';
+	    else if (on('overscroll') && (dy > 0 ? atTop : atBottom)) reason = 'overscroll';
+	}
+	if (!reason) return;
+
+	if (s.touchPolicy && s.touchPolicy.scroll) this._allow(e, reason, target, null, 'region');
+	else this._block(e, reason, target);
+    }
+
+    _wireContextMenu() {
+	const s = this._state;
+	if (!s || !s.guards.behaviors.has('contextMenu')) return;
+	const { handlers, cleanup } = s;
+	handlers.onContextMenu = (e) => this._onContextMenu(e);
+	cleanup.push(this._listen(this._getDoc(), 'contextmenu', handlers.onContextMenu, { passive: false }, 'top'));
+	// iOS long-press callouts (link preview, "Save Image") never fire contextmenu
+	cleanup.push(this._claimPageStyle('-webkit-touch-callout', 'none'));
+    }
+
+    _onContextMenu(e) {
+	if (!this._state) return;
+	const target = this._eventTarget(e, 'pointer');
+	if (isTypable(target)) this._allow(e, 'context-menu', target, null, 'input'); // paste, spelling
+	else if (this._policyFor(target).contextMenu) this._allow(e, 'context-menu', target, null, 'region');
+	else this._block(e, 'context-menu', target);
+    }
+
+    _wireSelection() {
+	const s = this._state;
+	if (!s || !s.guards.behaviors.has('selection')) return;
+	const { handlers, cleanup } = s;
+	handlers.onSelectStart = (e) => this._onSelectStart(e);
+	cleanup.push(this._listen(this._getDoc(), 'selectstart', handlers.onSelectStart, { passive: false }, 'top'));
+    }
+
+    _onSelectStart(e) {
+	if (!this._state) return;
+	const target = this._eventTarget(e, 'pointer');
+	const el = target && target.nodeType !== 1 ? target.parentElement : target; // usually a text node
+	if (isTypable(el)) this._allow(e, 'selection', el, null, 'input');
+	else if (this._policyFor(el).selection) this._allow(e, 'selection', el, null, 'region');
+	else this._block(e, 'selection', el);
+    }
+
+    // Same-origin iframes
+    // -------------------
+    // `iframes: true` subscribes the guard handlers wired above to every
+    // same-origin <iframe> as well, and again after each load (navigation
+    // replaces the frame's window). Frame content resolves its policy through
+    // the <iframe> element, so a region around the frame covers it.
+
+    _wireFrames() {
+	const s = this._state;
+	if (!s || !s.iframes) return;
+	const { handlers, cleanup } = s;
+	const frames = new Map(); // <iframe> → unsubscribe
+
+	const attach = (frame) => {
+	    const off = frames.get(frame);
+	    if (off) off();
+	    frames.delete(frame);
+	    let win = null;
+	    try { win = frame.contentDocument ? frame.contentWindow : null; } catch { win = null; } // cross-origin
+	    if (win) frames.set(frame, this._wireFrame(win));
+	};
+
+	// load doesn't bubble, but a capturing listener sees every frame's
+	handlers.onFrameLoad = (e) => {
+	    if (e.target && e.target.tagName === 'IFRAME') attach(e.target);
+	};
+	const doc = this._getDoc();
+	cleanup.push(this._listen(doc, 'load', handlers.onFrameLoad, { capture: true }));
+	for (const frame of doc.querySelectorAll('iframe')) attach(frame);
 	cleanup.push(() => {
-	    win.removeEventListener('gesturestart', handlers.onGesture);
-	    win.removeEventListener('gesturechange', handlers.onGesture);
-	    win.removeEventListener('gestureend', handlers.onGesture);
+	    for (const off of frames.values()) off();
+	    frames.clear();
 	});
     }
 
+    // Subscribe the page's guard handlers on a frame window; returns the undo
+    _wireFrame(win) {
+	const { handlers } = this._state;
+	const offs = [];
+	for (const [name, where, type, options, mode] of FRAME_EVENTS) {
+	    if (!handlers[name]) continue;
+	    offs.push(this._listen(where === 'win' ? win : win.document, type, handlers[name], options, mode));
+	}
+	return () => offs.forEach(off => off());
+    }
+
+    _wireInputZoom() {
+	const s = this._state;
+	if (!s || s.inputZoom !== 'allow-and-restore') return;
+	const { handlers, cleanup } = s;
+
+	handlers.onFocusOut = (e) => {
+	    if (!isTypable(e.target)) return;
+	    if (isTypable(e.relatedTarget)) return; // hopping between fields: stay zoomed
+	    this._restoreScale();
+	};
+	cleanup.push(this._listen(this._getDoc(), 'focusout', handlers.onFocusOut, { capture: true }, 'top'));
+    }
+
+    // Scroll lock
+    // -----------
+    // overflow:hidden alone does not stop iOS Safari, so the body is pinned
+    // with position:fixed at the current offset and scrolled back on unlock.
+    // Touch scrolling stays alive in regions with `scroll` and in elements
+    // that scroll on their own.
+
     _wireScrollLock() {
-	if (!this._state || !this._state.lockScroll) return;
-	const { cleanup } = this._state;
+	const s = this._state;
+	if (!s) return;
+	// lockScroll()/unlockScroll() share this path; destroy always unlocks
+	s.cleanup.push(() => this._unlockScroll());
+	if (s.lockScroll) this._lockScroll();
+    }
+
+    _lockScroll() {
+	const s = this._state;
+	if (!s || s.scrollLock) return false;
+	const { handlers } = s;
+	const lock = s.scrollLock = { release: null, offReady: null, offTouch: null };
+
+	// Reference-counted: overlapping instances share one pinned body, and
+	// the page is restored when the last of them unlocks.
 	const apply = () => {
-	    const prev = document.body.style.overflow;
-	    document.body.style.overflow = 'hidden';
-	    cleanup.push(() => { document.body.style.overflow = prev; });
+	    if (lock.offReady) lock.offReady();
+	    lock.offReady = null;
+	    const releaseLock = this._claim('scroll-lock', () => this._applyScrollLock());
+	    // shared with the overscroll guard
+	    const releaseOverscroll = this._claimPageStyle('overscroll-behavior', 'none');
+	    lock.release = () => {
+		releaseOverscroll();
+		releaseLock();
+	    };
+	};
+	const doc = this._getDoc();
+	if (doc.body) apply();
+	else lock.offReady = this._listen(doc, 'DOMContentLoaded', apply);
+
+	handlers.onTouchMove = (e) => this._onTouchMove(e);
+	lock.offTouch = this._listen(doc, 'touchmove', handlers.onTouchMove, { passive: false }, 'top');
+	return true;
+    }
+
+    _unlockScroll() {
+	const s = this._state;
+	const lock = s && s.scrollLock;
+	if (!lock) return false;
+	s.scrollLock = null;
+	if (lock.offReady) lock.offReady();
+	lock.offTouch();
+	if (lock.release) lock.release();
+	return true;
+    }
+
+    // Pin the body; returns the undo
+    _applyScrollLock() {
+	const s = this._state;
+	const win = this._getWin();
+	const html = this._getDocEl();
+	const body = this._getDoc().body;
+	const x = win.scrollX || win.pageXOffset || 0;
+	const y = win.scrollY || win.pageYOffset || 0;
+	const scrollbar = html.clientWidth ? Math.max(0, win.innerWidth - html.clientWidth) : 0;
+
+	const restoreHtml = saveInlineStyle(html, ['overflow', 'scrollbar-gutter', 'scroll-behavior']);
+	const restoreBody = saveInlineStyle(body, ['position', 'top', 'left', 'width', 'overflow', 'padding-right']);
+
+	// Keep content from shifting when the scrollbar goes away
+	if (s.scrollbarGutter) {
+	    html.style.overflow = 'hidden';
+	    html.style.scrollbarGutter = 'stable';
+	} else if (scrollbar > 0) {
+	    const pad = parseFloat(win.getComputedStyle(body).paddingRight) || 0;
+	    body.style.paddingRight = `${pad + scrollbar}px`;
+	}
+
+	body.style.position = 'fixed';
+	body.style.top = `${-y}px`;
+	body.style.left = `${-x}px`;
+	body.style.width = '100%';
+	body.style.overflow = 'hidden';
+
+	return () => {
+	    restoreBody();
+	    // jump straight back even if the page uses smooth scrolling
+	    html.style.scrollBehavior = 'auto';
+	    win.scrollTo(x, y);
+	    restoreHtml();
 	};
-	if (document.body) apply();
-	else {
-	    const onReady = () => apply();
-	    document.addEventListener('DOMContentLoaded', onReady, { once: true });
-	    cleanup.push(() => document.removeEventListener('DOMContentLoaded', onReady));
+    }
+
+    // Nearest ancestor (below body) that can scroll by itself
+    _inScrollable(target) {
+	const win = this._getWin();
+	const doc = this._getDoc();
+	for (let el = target && (target.nodeType === 1 ? target : composedParent(target));
+	     el && el !== doc.body && el !== doc.documentElement;
+	     el = composedParent(el)) {
+	    const cs = win.getComputedStyle(el);
+	    if (SCROLLABLE.test(cs.overflowY) && el.scrollHeight > el.clientHeight) return true;
+	    if (SCROLLABLE.test(cs.overflowX) && el.scrollWidth > el.clientWidth) return true;
+	}
+	return false;
+    }
+
+    _onTouchMove(e) {
+	const s = this._state;
+	if (!s || !s.scrollLock || !e.cancelable) return;
+	if (e.touches && e.touches.length > 1) return; // pinch: the zoom guards decide
+	const target = this._eventTarget(e, 'pointer');
+	if (this._policyFor(target).scroll) {
+	    this._allow(e, 'scroll-lock', target, null, 'region');
+	    return;
 	}
+	if (this._inScrollable(target)) return;
+	this._block(e, 'scroll-lock', target);
     }
 
 
@@ -510,18 +2910,20 @@ export class PageCement {
 		const s = this._state;
 		if (!s) return;
 
-		// Restore CSS var first
-		const el = document.documentElement;
-		if (s.prevCssVar && s.prevCssVar.trim() !== '') {
-		    el.style.setProperty(s.cssVarName, s.prevCssVar);
-		} else {
-		    el.style.removeProperty(s.cssVarName);
-		}
+		// Release CSS vars first; the last owner restores prior values
+		this._releaseCssVars(true);
 
-		// Cancel pending rAF and run cleanups LIFO
-		if (s.raf) cancelAnimationFrame(s.raf);
+		// Cancel pending rAF / zoom restore and run cleanups LIFO
+		if (s.raf) this._getWin().cancelAnimationFrame(s.raf);
+		if (s.scaleRestore) {
+		    // Never leave the clamped meta tag behind
+		    this._getWin().clearTimeout(s.scaleRestore.timer);
+		    s.scaleRestore.undo();
+		    s.scaleRestore = null;
+		}
 		for (let i = s.cleanup.length - 1; i >= 0; i--) { try { s.cleanup[i](); } catch {} }
 		s.cleanup.length = 0;
+		this._coord.remove(this);
 
 		// Final flags
 		this.enabled = false;
@@ -548,27 +2950,27 @@ export class PageCement {
 	if (this.enabled && (!runOpts || Object.keys(runOpts).length === 0)) return true;
 	if (this.enabled) this.disable();
 
-	// Build state bag
+	// Build state bag; join the window's shared coordinator
 	this._initState(this.opts);
+	this._coord = Coordinator.for(this._getWin());
+	this._coord.push(this, this._stackAt);
+	this._compileAllowed();
 
 	// Initial paint
 	this._setVH();
 
-	// Wire sections
-	//dont delete. we will improve this in subsequent versions. for now its not important as it works 'as intended' unintentionally on the main project
-	//this._wirePointerIntent();
-	this._wireDomReady();
-	this._wireViewport();   // resize, orientationchange, VisualViewport
-	this._wireWheel();      // ctrl+wheel zoom
-	this._wireKeyDown();    // ctrl/cmd +/-/=
-	this._wireTouchStart(); // remember last touch target
-	this._wireGesture();    // iOS pinch gestures
-	this._wireScrollLock(); // optional
+	// Core: the region resolver and a11y unlock every feature relies on
+	if (this._state.trackPointer) this._wirePointerIntent(); // pointer/hybrid targetMode only
+	this._wireAllowObserver(); // observe allowStrategy only
+	this._wireA11y();       // a11y option only
 
+	// Features, in registration order (see FEATURES & PLUGINS)
+	for (const feature of this._state.features.values()) this._setupFeature(feature);
 
 	this.controller = this._makeController();
 
 	this.enabled = true;
+	if (this._state.autoResetZoom) this.resetZoom();
 	return true; //success
     }
 
@@ -582,6 +2984,163 @@ export class PageCement {
     }
 
 
+    /**
+     * Current zoom (snapshot; follow it with 'zoomchange').
+     *   scale       – visualViewport.scale (pinch zoom)
+     *   dpr         – window.devicePixelRatio
+     *   browserZoom – estimated browser (Ctrl +/-) zoom factor
+     *   pinch / browser – whether each kind of zoom is active
+     */
+    get zoom() {
+	const z = this._state?.zoom;
+	return z ? { ...z } : { scale: 1, dpr: 1, browserZoom: 1, pinch: false, browser: false };
+    }
+
+    /**
+     * Snap zoom back to 1 where the platform allows: pinch zoom is undone by
+     * briefly clamping the viewport meta tag. Browser zoom cannot be changed
+     * from script.
+     * @returns {boolean} true if a pinch reset was started
+     */
+    resetZoom() {
+	if (!this._state) return false;
+	const z = this._measureZoom();
+	if (z.browser) this._log('debug', 'browser zoom cannot be reset from script', z);
+	return z.pinch ? this._restoreScale() : false;
+    }
+
+    /**
+     * Unlock zoom for the rest of the session, as the a11y shortcut does;
+     * for an "Enable zoom" control. Needs the `a11y` option.
+     * @returns {boolean} true if zoom was locked until now
+     */
+    unlockZoom() {
+	return this._unlockZoom('api');
+    }
+
+    /**
+     * Lock page scroll now (and on later enable() calls). false without
+     * the scrollLock feature: nothing would unlock it on destroy.
+     */
+    lockScroll() {
+	this.opts.lockScroll = true;
+	const s = this._state;
+	if (!s) return false;
+	s.lockScroll = true;
+	if (!s.features.has('scrollLock')) return false;
+	return this._lockScroll();
+    }
+
+    /** Undo lockScroll() / the lockScroll option without re-enabling. */
+    unlockScroll() {
+	this.opts.lockScroll = false;
+	if (!this._state) return false;
+	this._state.lockScroll = false;
+	return this._unlockScroll();
+    }
+
+    /**
+     * Change options in place. Only the affected parts are rewired, so the
+     * page does not flicker the way enable(runOpts) does:
+     *   allow / watch / regions         – allow rules recompiled
+     *   markup                          – likewise
+     *   keyboardCombos / keyboardMode   – shortcuts recompiled
+     *   guards                          – recompiled (shortcut presets only)
+     *   lockScroll / scrollbarGutter    – scroll locked or unlocked
+     *   cssVarName / cssVars            – new variables written, then the old
+     *                                     ones restored
+     *   useVisualViewport               – remeasured
+     *   maxZoom, minZoom, debug, logger, onBeforeBlock – read live
+     * Any other option (or adding / removing a touch, page or beforeunload
+     * guard) falls back to disable() + enable(). While disabled the options
+     * are only stored.
+     * @param {Partial<PageCementOptions>} partial
+     * @returns {string[]} names of the options whose value changed
+     */
+    updateOptions(partial) {
+	if (!partial || typeof partial !== 'object') return [];
+	const { window: _w, document: _d, ...opts } = partial; // environment is fixed
+	partial = opts;
+	const changed = Object.keys(partial).filter(k => partial[k] !== this.opts[k]);
+	if (!changed.length) return changed;
+
+	const next = { ...this.opts, ...partial };
+	if ('watch' in partial && !('allow' in partial)) next.allow = partial.watch;
+	this.opts = next;
+
+	const s = this._state;
+	if (!this.enabled || !s) return changed;
+	const touched = (...keys) => keys.some(k => changed.includes(k));
+
+	const guards = touched('guards') ? this._compileGuards(next.guards, s.mac) : s.guards;
+	const sameBehaviors = guards.behaviors.size === s.guards.behaviors.size
+	      && [...guards.behaviors].every(name => s.guards.behaviors.has(name));
+	if (!sameBehaviors || changed.some(k => !LIVE_OPTIONS.includes(k))) {
+	    // Wiring depends on it: rebuild everything
+	    this._rebuild();
+	    return changed;
+	}
+
+	const kc = next.keyboardCombos ?? false;
+	s.opts = { ...next, keyboardCombos: kc };
+	s.guards = guards;
+
+	if (touched('allow', 'watch', 'regions', 'markup')) {
+	    s.markup = next.markup !== false;
+	    this._compileAllowed();
+	}
+
+	if (touched('keyboardCombos', 'keyboardMode')) {
+	    s.combos = compileShortcuts(this._comboList(kc), { mac: s.mac });
+	    s.keyboardMode = next.keyboardMode === 'allow' ? 'allow' : 'block';
+	}
+
+	s.maxZoom = Number.isFinite(next.maxZoom) ? next.maxZoom : 1;
+	s.minZoom = Number.isFinite(next.minZoom) ? next.minZoom : 0;
+
+	if (touched('lockScroll', 'scrollbarGutter')) {
+	    // a new gutter mode needs a fresh lock
+	    if (touched('scrollbarGutter')) this._unlockScroll();
+	    s.scrollbarGutter = !!next.scrollbarGutter;
+	    s.lockScroll = !!next.lockScroll;
+	    if (s.lockScroll && s.features.has('scrollLock')) this._lockScroll();
+	    else this._unlockScroll();
+	}
+
+	const vars = touched('cssVarName', 'cssVars');
+	if (vars || touched('useVisualViewport')) {
+	    if (vars) {
+		s.cssVarName = next.cssVarName || '--vh';
+		s.cssVars = resolveCssVars(next.cssVars, s.cssVarName, s.detectKeyboard);
+		s.lastVH = null; // report the new name in 'vh'
+	    }
+	    s.useVisualViewport = next.useVisualViewport !== false;
+	    s.stable = { width: 0, min: 0, max: 0 };
+
+	    // Write the new variables before the old ones are restored, so
+	    // nothing reading either of them sees a gap
+	    if (s.features.has('viewport')) this._claimCssVars();
+	    if (s.raf) this._getWin().cancelAnimationFrame(s.raf);
+	    s.raf = null;
+	    this._commitVH();
+	    this._releaseCssVars();
+	    this._restyle();
+	}
+	return changed;
+    }
+
+    // disable() + enable() without moving up the coordinator stack: an
+    // option change must not put this instance above ones enabled later
+    _rebuild() {
+	this._stackAt = this._coord ? this._coord.rank(this) : -1;
+	this.disable();
+	try {
+	    this.enable();
+	} finally {
+	    this._stackAt = -1;
+	}
+    }
+
     /** Recompute and apply --vh (rAF-throttled). No-op if disabled. */
     refresh() {
 	if (!this._state) return false;
@@ -592,4 +3151,42 @@ export class PageCement {
     
 }
 
+// Built-in features, in wiring order. Each wires through the instance's
+// _wire* methods, which push their own teardown onto state.cleanup.
+function builtin(name, wire, requires = []) {
+    return [name, Object.freeze({
+	name,
+	setup: (state, ctx) => wire(ctx.cement),
+	default: true,
+	requires: Object.freeze(requires),
+    })];
+}
+
+const FEATURES = new Map([
+    builtin('viewport', (c) => {
+	c._claimCssVars();
+	c._wireDomReady();
+	c._wireViewport();      // resize, orientationchange, VisualViewport
+	c._wireSizeObserver();  // observe() container variables
+    }),
+    builtin('keyboard', c => c._wireKeyboard(), ['viewport']),
+    builtin('styles', c => c._wireStyles(), ['viewport']), // after keyboard: reads its source
+    builtin('zoomTracking', c => c._wireZoomTracking()),
+    builtin('wheel', c => c._wireWheel()),
+    builtin('keys', c => c._wireKeyDown()),
+    builtin('touchStart', c => c._wireTouchStart()),
+    builtin('gesture', c => c._wireGesture(), ['touchStart']),
+    builtin('touch', c => c._wireTouchZoom(), ['touchStart']),
+    builtin('pageGuards', (c) => {
+	c._wireBeforeUnload();
+	c._wireTouchGuards();
+	c._wireContextMenu();
+	c._wireSelection();
+    }, ['touchStart']),
+    builtin('frames', c => c._wireFrames()), // after the guards it mirrors
+    builtin('inputZoom', c => c._wireInputZoom()),
+    builtin('viewportMeta', c => c._wireViewportMeta()),
+    builtin('scrollLock', c => c._wireScrollLock()),
+]);
+
 export default PageCement;
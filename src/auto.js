@@ -0,0 +1,44 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/*
+Auto-init entry point
+=====================
+    <script type="module" src="vendor/pageCement/src/auto.js"></script>
+
+Reads the markup configuration (see declarative.js) once the document has
+been parsed and enables a PageCement with it. The instance is exported for
+scripts that want to listen to it or tear it down:
+
+    import cement from 'vendor/pageCement/src/auto.js';
+    cement.on('block', ...);
+
+Does nothing outside a browser (SSR): the export is then null.
+*/
+
+import PageCement from './PageCement.js';
+import { readMarkupConfig } from './declarative.js';
+
+function init(instance) {
+    // through the instance's logger, like its own diagnostics
+    instance.updateOptions(readMarkupConfig(document, (err, source) => {
+	instance._log('warn', `ignoring invalid ${source} JSON`, err, true);
+    }));
+    instance.enable();
+}
+
+/** @type {PageCement|null} */
+export const cement = (typeof window === 'undefined' || typeof document === 'undefined') ? null : new PageCement();
+
+if (cement) {
+    // A config <script> may come after this one in a classic page
+    if (document.readyState === 'loading') {
+	document.addEventListener('DOMContentLoaded', () => init(cement), { once: true });
+    } else {
+	init(cement);
+    }
+}
+
+export default cement;
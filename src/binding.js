@@ -0,0 +1,53 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+import PageCement from './PageCement.js';
+
+// Structural equality for option values: arrays and plain objects compare by
+// content, everything else (elements, functions, ...) by identity.
+export function sameOption(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a)) {
+	return Array.isArray(b) && a.length === b.length && a.every((v, i) => sameOption(v, b[i]));
+    }
+    if (!isPlainObject(a) || !isPlainObject(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(k => sameOption(a[k], b[k]));
+}
+
+function isPlainObject(v) {
+    if (!v || typeof v !== 'object') return false;
+    const proto = Object.getPrototypeOf(v);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Lifecycle binding shared by the custom element and the framework adapters:
+ * mount() / unmount() enable and disable, update() hands only the options
+ * that really changed to updateOptions(), so re-renders with fresh object
+ * literals don't rewire anything.
+ * @param {import('./PageCement.js').PageCementOptions} [options]
+ * @returns {{ cement: PageCement, mount: () => boolean, update: (options: object) => string[], unmount: () => boolean }}
+ */
+export function bindPageCement(options = {}) {
+    let current = { ...options };
+    const cement = new PageCement(current);
+
+    return {
+	cement,
+	mount: () => cement.enable(),
+	update(next = {}) {
+	    const partial = {};
+	    for (const key of new Set([...Object.keys(current), ...Object.keys(next)])) {
+		if (!sameOption(current[key], next[key])) partial[key] = next[key];
+	    }
+	    current = { ...next };
+	    return Object.keys(partial).length ? cement.updateOptions(partial) : [];
+	},
+	unmount: () => cement.disable(),
+    };
+}
+
+export default bindPageCement;
@@ -0,0 +1,83 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/*
+Declarative configuration
+=========================
+For server-rendered pages without a bundler:
+
+    <html data-cement='{"lockScroll": true}'>
+    <script type="application/json" data-cement-config>
+        { "keyboardCombos": "zoom", "guards": ["reload"] }
+    </script>
+
+    <div class="map" data-cement-region="zoom scroll">…</div>
+    <pre data-cement-allow>…</pre>
+
+    <script type="module" src="vendor/pageCement/src/auto.js"></script>
+
+Region tokens: zoom, scroll, keys (= every shortcut), contextMenu, selection.
+An empty data-cement-region grants nothing; data-cement-allow grants
+everything, like an `allow` entry. Both are plain attribute selectors, so
+elements added later are picked up like any other region.
+*/
+
+export const ALLOW_ATTR = 'data-cement-allow';
+export const REGION_ATTR = 'data-cement-region';
+export const CONFIG_ATTR = 'data-cement';
+export const CONFIG_SELECTOR = 'script[type="application/json"][data-cement-config]';
+
+const REGION_TOKENS = {
+    zoom: 'zoom',
+    scroll: 'scroll',
+    keys: 'keys',
+    contextmenu: 'contextMenu',
+    selection: 'selection',
+};
+
+/**
+ * data-cement-region value → region fields, e.g. 'zoom scroll' →
+ * { zoom: true, scroll: true }. Unknown tokens are ignored.
+ * @param {string|null} value
+ * @returns {{ zoom?: boolean, scroll?: boolean, keys?: 'all', contextMenu?: boolean, selection?: boolean }}
+ */
+export function parseRegionAttr(value) {
+    const region = {};
+    for (const token of String(value || '').split(/[\s,]+/)) {
+	const field = REGION_TOKENS[token.toLowerCase()];
+	if (!field) continue;
+	region[field] = field === 'keys' ? 'all' : true;
+    }
+    return region;
+}
+
+/**
+ * Options from markup: the JSON <script data-cement-config> block, then the
+ * data-cement attribute on <html> on top. Invalid JSON is reported through
+ * `onError` and skipped.
+ * @param {Document} doc
+ * @param {(err: Error, source: string) => void} [onError]
+ * @returns {object}
+ */
+export function readMarkupConfig(doc, onError) {
+    const config = {};
+    if (!doc || !doc.documentElement) return config;
+
+    const parse = (text, source) => {
+	if (!text || !text.trim()) return;
+	try {
+	    const value = JSON.parse(text);
+	    if (value && typeof value === 'object' && !Array.isArray(value)) Object.assign(config, value);
+	    else throw new TypeError('expected a JSON object');
+	} catch (err) {
+	    if (typeof onError === 'function') onError(err, source);
+	}
+    };
+
+    const script = doc.querySelector(CONFIG_SELECTOR);
+    if (script) parse(script.textContent, CONFIG_SELECTOR);
+    parse(doc.documentElement.getAttribute(CONFIG_ATTR), CONFIG_ATTR);
+    return config;
+}
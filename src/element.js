@@ -0,0 +1,137 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/*
+<page-cement> custom element
+============================
+    import 'vendor/pageCement/src/element.js';
+
+    <page-cement lock-scroll keyboard-combos="zoom" guards="reload navigation" allow-self="zoom">
+        … full-screen view …
+    </page-cement>
+
+Enables on connect, disables on disconnect, so views that come and go can't
+leak listeners. Attributes are the options in kebab-case:
+    present / ''            → true        lock-scroll
+    'true' / 'false'        → boolean     block-pinch="false"
+    numbers                 → number      max-zoom="2"
+    '[…]' / '{…}'           → JSON        regions='[{"selector": ".map", "zoom": true}]'
+    anything else           → string      allow=".console, .zoom-ok"
+`guards` and `features` also take a space-separated list. Functions
+(onBeforeBlock, logger) and elements go through the `options` property,
+which wins over attributes.
+
+allow-self makes the element's own subtree a region: empty allows
+everything, or give data-cement-region tokens ('zoom scroll').
+
+The instance is `element.cement` (null until first connected).
+*/
+
+import { bindPageCement } from './binding.js';
+import { parseRegionAttr } from './declarative.js';
+
+// Options settable through attributes
+const ATTR_OPTIONS = [
+    'allow', 'regions', 'maxZoom', 'minZoom', 'autoResetZoom', 'lockScroll',
+    'scrollbarGutter', 'blockPinch', 'blockDoubleTap', 'touchAction',
+    'viewportMeta', 'useVisualViewport', 'cssVarName', 'keyboardCombos',
+    'keyboardMode', 'guards', 'iframes', 'markup', 'cssVars', 'detectKeyboard',
+    'keyboardThreshold', 'freezeVHOnKeyboard', 'virtualKeyboard', 'targetMode',
+    'inputZoom', 'allowStrategy', 'features', 'a11y', 'injectStyles', 'debug',
+];
+
+const LIST_OPTIONS = ['guards', 'features'];
+
+const toKebab = (name) => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+
+function parseAttr(name, value) {
+    if (value === '' || value === 'true') return true;
+    if (value === 'false') return false;
+    if (value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+    if (/^\s*[[{]/.test(value)) {
+	try { return JSON.parse(value); } catch { /* fall through: keep the string */ }
+    }
+    if (LIST_OPTIONS.includes(name)) return value.split(/[\s,]+/).filter(Boolean);
+    return value;
+}
+
+const Base = typeof HTMLElement === 'undefined' ? class {} : HTMLElement;
+
+export class PageCementElement extends Base {
+
+    static get observedAttributes() {
+	return [...ATTR_OPTIONS.map(toKebab), 'allow-self'];
+    }
+
+    constructor() {
+	super();
+	this._binding = null;
+	this._options = {};
+    }
+
+    /** The PageCement instance, or null before the first connect. */
+    get cement() {
+	return this._binding ? this._binding.cement : null;
+    }
+
+    /** Options that can't be attributes (functions, elements); win over attributes. */
+    get options() {
+	return this._options;
+    }
+
+    set options(value) {
+	this._options = { ...(value || {}) };
+	if (this._binding) this._binding.update(this._collect());
+    }
+
+    connectedCallback() {
+	if (!this._binding) this._binding = bindPageCement(this._collect());
+	else this._binding.update(this._collect());
+	this._binding.mount();
+    }
+
+    disconnectedCallback() {
+	if (this._binding) this._binding.unmount();
+    }
+
+    attributeChangedCallback() {
+	if (this._binding) this._binding.update(this._collect());
+    }
+
+    // Attributes + `options` → PageCementOptions
+    _collect() {
+	// the element's own document (it may live in a popup or frame)
+	const options = { document: this.ownerDocument };
+	for (const name of ATTR_OPTIONS) {
+	    const value = this.getAttribute(toKebab(name));
+	    if (value !== null) options[name] = parseAttr(name, value);
+	}
+	Object.assign(options, this._options);
+
+	const self = this.getAttribute('allow-self');
+	if (self !== null) {
+	    const list = (key) => (options[key] == null ? [] : [].concat(options[key]));
+	    if (self.trim() === '') options.allow = [...list('allow'), this];
+	    else options.regions = [...list('regions'), { selector: this, ...parseRegionAttr(self) }];
+	}
+	return options;
+    }
+}
+
+/**
+ * Register the element (done on import for 'page-cement'; call again for
+ * another tag name). Returns false when the tag is taken or there's no DOM.
+ * @param {string} [tag='page-cement']
+ */
+export function definePageCement(tag = 'page-cement') {
+    if (typeof customElements === 'undefined' || customElements.get(tag)) return false;
+    // a class can only be registered once
+    customElements.define(tag, tag === 'page-cement' ? PageCementElement : class extends PageCementElement {});
+    return true;
+}
+
+definePageCement();
+
+export default PageCementElement;
@@ -0,0 +1,131 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+import { DEFAULT_KEYBOARD_COMBOS, compileShortcuts, matchShortcut } from './shortcuts.js';
+
+/*
+Guard presets
+=============
+Named bundles of browser shortcuts for kiosk / app-like pages, used by the
+`guards` option: new PageCement({ guards: ['zoom', 'reload', 'navigation'] }).
+
+Each preset lists shortcut strings (see shortcuts.js):
+    keys          – blocked everywhere.
+    outsideInputs – blocked only when the key does not go to a typable element,
+                    where it means editing (Backspace, Cmd+Left, Select All).
+    mac / other   – extra { keys, outsideInputs } for macOS / everything else.
+    behavior      – not a shortcut: PageCement wires its own listeners and
+                    styles for it (beforeunload, touch and page guards).
+
+Some shortcuts never reach the page in some browsers (devtools, Cmd+Q,
+Ctrl+W ...); a guard can only cancel what the browser lets it see.
+*/
+
+export const GUARD_PRESETS = Object.freeze({
+    // Ctrl/Cmd with =, +, - and 0 (numpad included)
+    zoom: {
+	keys: DEFAULT_KEYBOARD_COMBOS,
+    },
+    // Reload and hard reload
+    reload: {
+	keys: ['F5', 'Ctrl+F5', 'Shift+F5', 'Mod+R', 'Mod+Shift+R'],
+    },
+    // History back / forward
+    navigation: {
+	keys: ['BrowserBack', 'BrowserForward'],
+	outsideInputs: ['Backspace', 'Shift+Backspace'],
+	mac: { keys: ['Meta+[', 'Meta+]'], outsideInputs: ['Meta+ArrowLeft', 'Meta+ArrowRight'] },
+	other: { keys: ['Alt+ArrowLeft', 'Alt+ArrowRight'] },
+    },
+    // Print dialog (and Chrome's system dialog)
+    print: {
+	keys: ['Mod+P', 'Mod+Shift+P'],
+    },
+    // Find bar, find next / previous
+    find: {
+	keys: ['Mod+F', 'Mod+G', 'Mod+Shift+G', 'F3', 'Shift+F3'],
+    },
+    // Save page
+    save: {
+	keys: ['Mod+S', 'Mod+Shift+S'],
+    },
+    // Select the whole page; Select All inside inputs keeps working
+    selectAll: {
+	outsideInputs: ['Mod+A'],
+    },
+    // Developer tools and view-source, where the browser allows it
+    devtools: {
+	keys: ['F12'],
+	mac: { keys: ['Meta+Alt+I', 'Meta+Alt+J', 'Meta+Alt+C', 'Meta+Alt+K', 'Meta+Alt+U'] },
+	other: { keys: ['Ctrl+Shift+I', 'Ctrl+Shift+J', 'Ctrl+Shift+C', 'Ctrl+Shift+K', 'Ctrl+U'] },
+    },
+    // "Leave site?" confirmation on unload
+    beforeunload: {
+	behavior: true,
+    },
+    // Rubber-band / scroll chaining past the top and bottom of the page
+    overscroll: {
+	behavior: true,
+    },
+    // Pulling down at the top of the page to reload
+    pullToRefresh: {
+	behavior: true,
+    },
+    // Swipes from the left / right screen edge (history navigation)
+    edgeSwipe: {
+	behavior: true,
+    },
+    // Right-click menu and the long-press callout on touch devices
+    contextMenu: {
+	behavior: true,
+    },
+    // Text selection outside inputs
+    selection: {
+	behavior: true,
+    },
+});
+
+/**
+ * Expand preset names into compiled shortcuts, once per enable().
+ * @param {string|string[]} names
+ * @param {{ mac?: boolean }} [opts]
+ * @returns {{ shortcuts: Array<{ guard: string, sc: object, outsideInputs: boolean }>, behaviors: Set<string>, unknown: string[] }}
+ */
+export function compileGuards(names, { mac = false } = {}) {
+    const out = { shortcuts: [], behaviors: new Set(), unknown: [] };
+    const list = Array.isArray(names) ? names : (names ? [names] : []);
+
+    for (const name of new Set(list)) {
+	const preset = Object.prototype.hasOwnProperty.call(GUARD_PRESETS, name) ? GUARD_PRESETS[name] : null;
+	if (!preset) {
+	    out.unknown.push(String(name));
+	    continue;
+	}
+	if (preset.behavior) out.behaviors.add(name);
+
+	const platform = preset[mac ? 'mac' : 'other'] || {};
+	const add = (keys, outsideInputs) => {
+	    for (const sc of compileShortcuts(keys, { mac })) out.shortcuts.push({ guard: name, sc, outsideInputs });
+	};
+	add([...(preset.keys || []), ...(platform.keys || [])], false);
+	add([...(preset.outsideInputs || []), ...(platform.outsideInputs || [])], true);
+    }
+    return out;
+}
+
+/**
+ * First guard shortcut matching keyboard event `e`, or null.
+ * @param {ReturnType<typeof compileGuards>} guards
+ * @param {KeyboardEvent} e
+ * @param {boolean} inInput  the key goes to a typable element
+ */
+export function matchGuard(guards, e, inInput) {
+    if (!guards) return null;
+    for (const entry of guards.shortcuts) {
+	if (entry.outsideInputs && inInput) continue;
+	if (matchShortcut(entry.sc, e)) return entry;
+    }
+    return null;
+}
@@ -3,5 +3,5 @@
  * License: MTL-10 (see LICENSE.md)
  */
 import PageCement from './PageCement.js';
-export PageCement;
+export { PageCement };
 export default PageCement;
@@ -0,0 +1,53 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/*
+React-style hook
+================
+No React import here: hand in the two hooks it needs (React, Preact and
+friends all fit), once, and use the result in components.
+
+    import { useEffect, useRef } from 'react';
+    import { createUsePageCement } from 'vendor/pageCement/src/react.js';
+
+    export const usePageCement = createUsePageCement({ useEffect, useRef });
+
+    function Player({ locked }) {
+        const cement = usePageCement({ lockScroll: locked, guards: ['reload'] });
+        ...
+    }
+
+Enables after mount, disables on unmount (or while `enabled` is false).
+Options may be a fresh object literal every render: only values that
+really changed reach updateOptions().
+*/
+
+import { bindPageCement } from './binding.js';
+
+/**
+ * @param {{ useEffect: Function, useRef: Function }} hooks
+ * @returns {(options?: object, enabled?: boolean) => import('./PageCement.js').PageCement}
+ */
+export function createUsePageCement({ useEffect, useRef }) {
+    return function usePageCement(options = {}, enabled = true) {
+	const ref = useRef(null);
+	if (!ref.current) ref.current = bindPageCement(options);
+	const binding = ref.current;
+
+	useEffect(() => {
+	    binding.update(options);
+	});
+
+	useEffect(() => {
+	    if (!enabled) return undefined;
+	    binding.mount();
+	    return () => binding.unmount();
+	}, [binding, enabled]);
+
+	return binding.cement;
+    };
+}
+
+export default createUsePageCement;
@@ -0,0 +1,200 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/*
+Shortcut strings
+================
+'Mod+Shift+=', 'Alt+ArrowLeft', 'F5', 'Ctrl++', 'Mod+KeyR'
+
+Modifiers
+    Ctrl | Control, Alt | Option, Shift, Meta | Cmd | Command | Win,
+    Mod – Cmd on macOS / iOS, Ctrl everywhere else.
+    Modifiers that are not listed must be up. Exception: Shift on symbol keys
+    ('+', '=', '-', ...) is "don't care", since whether a symbol needs Shift
+    depends on the layout. With an explicit Shift, a symbol also matches its
+    physical US key ('Mod+Shift+=' is Ctrl+Shift+Equal, which reports '+'
+    on a US layout). Elsewhere that key may carry another symbol; name the
+    e.code ('Mod+Shift+Equal') to mean the position only.
+
+Key (last token)
+    An e.key value: 'r', '=', 'F5', 'ArrowLeft', 'Backspace' (letters are
+    case-insensitive; 'Plus', 'Esc', 'Space', 'Left' ... are accepted too).
+    Symbol keys also match their numpad / legacy spellings ('+' ↔ 'Add' and
+    NumpadAdd, '-' ↔ 'Subtract' and NumpadSubtract). Letters and digits fall
+    back to the physical key when the layout produces a non-Latin e.key, so
+    'Mod+R' still means Ctrl+R on a Cyrillic layout.
+    Or a physical e.code: 'KeyR', 'Digit0', 'Equal', 'Minus', 'NumpadAdd' –
+    matched by position only.
+
+Legacy { mods, key } objects keep their old meaning: only listed modifiers
+are checked and `key` must equal e.key exactly.
+*/
+
+const MODS = ['ctrl', 'alt', 'shift', 'meta'];
+
+const MOD_ALIASES = {
+    ctrl: 'ctrl', control: 'ctrl',
+    alt: 'alt', option: 'alt',
+    shift: 'shift',
+    meta: 'meta', cmd: 'meta', command: 'meta', win: 'meta',
+    mod: 'mod',
+};
+
+const KEY_ALIASES = {
+    plus: '+',
+    esc: 'escape',
+    space: ' ',
+    spacebar: ' ',
+    left: 'arrowleft',
+    right: 'arrowright',
+    up: 'arrowup',
+    down: 'arrowdown',
+    del: 'delete',
+    return: 'enter',
+};
+
+// Other spellings a symbol key token matches: legacy e.key names, numpad codes
+const KEY_EXTRAS = {
+    '+': { keys: ['add'], codes: ['NumpadAdd'] },
+    '-': { keys: ['subtract'], codes: ['NumpadSubtract'] },
+    '*': { keys: ['multiply'], codes: ['NumpadMultiply'] },
+    '/': { keys: ['divide'], codes: ['NumpadDivide'] },
+};
+
+// Physical US key of a symbol, for shortcuts with an explicit Shift
+const SYMBOL_CODES = {
+    '=': 'Equal', '-': 'Minus', '[': 'BracketLeft', ']': 'BracketRight',
+    ';': 'Semicolon', "'": 'Quote', '`': 'Backquote', '\\': 'Backslash',
+    ',': 'Comma', '.': 'Period', '/': 'Slash',
+};
+
+// Tokens that name a physical key (e.code) rather than a produced character
+const CODE_TOKEN = /^(Key[A-Z]|Digit[0-9]|Numpad\w+|Equal|Minus|Bracket(Left|Right)|Semicolon|Quote|Backquote|Backslash|Comma|Period|Slash|IntlBackslash)$/;
+
+/** Zoom shortcuts: Mod with =, +, - and 0. */
+export const DEFAULT_KEYBOARD_COMBOS = Object.freeze(['Mod+=', 'Mod++', 'Mod+-', 'Mod+0']);
+
+/**
+ * True on macOS / iOS, where Mod means Cmd.
+ * @param {Navigator} [nav]
+ */
+export function isMacLike(nav) {
+    if (!nav) return false;
+    const platform = (nav.userAgentData && nav.userAgentData.platform) || nav.platform || nav.userAgent || '';
+    return /mac|iphone|ipad|ipod/i.test(platform);
+}
+
+function isAsciiKey(key) {
+    return typeof key === 'string' && key.length === 1 && key.charCodeAt(0) < 128;
+}
+
+// 'Ctrl++' → ['Ctrl', '+'];  'Mod + Shift + =' → ['Mod', 'Shift', '=']
+function splitTokens(str) {
+    const s = str.trim();
+    if (s === '+') return ['+'];
+    const parts = s.endsWith('++')
+	  ? [...s.slice(0, -2).split('+'), '+']
+	  : s.split('+');
+    return parts.map(p => (p === '+' ? p : p.trim()));
+}
+
+function legacyShortcut(obj) {
+    const mods = {};
+    for (const m of MODS) mods[m] = (obj.mods && m in obj.mods) ? !!obj.mods[m] : null;
+    const source = [...MODS.filter(m => mods[m]).map(m => m[0].toUpperCase() + m.slice(1)), obj.key].join('+');
+    return { source, mods, keys: [], codes: [], fallbackCodes: [], exact: obj.key };
+}
+
+/**
+ * Compile a shortcut string (or legacy { mods, key } object) once, for
+ * matchShortcut(). Returns null when it can't be parsed.
+ * @param {string|{mods?: object, key: string}|object} input
+ * @param {{ mac?: boolean }} [opts]  platform for Mod
+ * @returns {object|null}
+ */
+export function parseShortcut(input, { mac = false } = {}) {
+    if (!input) return null;
+    if (typeof input === 'object') {
+	if (Array.isArray(input.keys) && input.mods) return input;   // already compiled
+	return typeof input.key === 'string' ? legacyShortcut(input) : null;
+    }
+    if (typeof input !== 'string') return null;
+
+    const tokens = splitTokens(input);
+    const keyToken = tokens.pop();
+    if (!keyToken) return null;
+
+    const mods = { ctrl: false, alt: false, shift: false, meta: false };
+    for (const t of tokens) {
+	let m = MOD_ALIASES[t.toLowerCase()];
+	if (!m) return null;
+	if (m === 'mod') m = mac ? 'meta' : 'ctrl';
+	mods[m] = true;
+    }
+
+    const sc = { source: input.trim(), mods, keys: [], codes: [], fallbackCodes: [], exact: null };
+
+    if (CODE_TOKEN.test(keyToken)) {
+	sc.codes.push(keyToken);
+	return sc;
+    }
+
+    const key = KEY_ALIASES[keyToken.toLowerCase()] || keyToken.toLowerCase();
+    sc.keys.push(key);
+    const extra = KEY_EXTRAS[key];
+    if (extra) {
+	sc.keys.push(...extra.keys);
+	sc.codes.push(...extra.codes);
+    }
+    if (/^[a-z]$/.test(key)) sc.fallbackCodes.push(`Key${key.toUpperCase()}`);
+    if (/^[0-9]$/.test(key)) sc.fallbackCodes.push(`Digit${key}`, `Numpad${key}`);
+    // Symbols: Shift is part of the layout, not of the shortcut. Said
+    // explicitly, the key reports its shifted character, so go by position
+    if (key.length === 1 && !/[a-z0-9 ]/.test(key)) {
+	if (!tokens.some(t => t.toLowerCase() === 'shift')) sc.mods.shift = null;
+	else if (SYMBOL_CODES[key]) sc.codes.push(SYMBOL_CODES[key]);
+    }
+    return sc;
+}
+
+/**
+ * Compile a list, dropping entries that don't parse.
+ * @param {Array<string|object>} list
+ * @param {{ mac?: boolean }} [opts]
+ */
+export function compileShortcuts(list, opts) {
+    return (list || []).map(item => parseShortcut(item, opts)).filter(Boolean);
+}
+
+/**
+ * Does keyboard event `e` match compiled shortcut `sc`?
+ * @param {object} sc  from parseShortcut()
+ * @param {KeyboardEvent} e
+ */
+export function matchShortcut(sc, e) {
+    for (const m of MODS) {
+	const want = sc.mods[m];
+	if (want === null || want === undefined) continue;
+	if (!!e[`${m}Key`] !== want) return false;
+    }
+    if (sc.exact !== null && sc.exact !== undefined) return e.key === sc.exact;
+
+    const key = String(e.key || '').toLowerCase();
+    if (sc.keys.includes(key)) return true;
+    if (!e.code) return false;
+    if (sc.codes.includes(e.code)) return true;
+    return !isAsciiKey(e.key) && sc.fallbackCodes.includes(e.code);
+}
+
+/**
+ * Readable shortcut for an event, e.g. 'Ctrl+Shift+K' (for diagnostics).
+ * @param {KeyboardEvent} e
+ */
+export function describeEvent(e) {
+    const parts = MODS.filter(m => e[`${m}Key`]).map(m => m[0].toUpperCase() + m.slice(1));
+    const key = e.key === ' ' ? 'Space' : (e.key && e.key.length === 1 ? e.key.toUpperCase() : e.key);
+    parts.push(key || e.code || '?');
+    return parts.join('+');
+}
@@ -0,0 +1,1003 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/*
+Fake environment for tests
+==========================
+A small, dependency-free window/document double: enough DOM for PageCement
+to enable, guard, block and destroy under plain Node, with no browser and
+no jsdom.
+
+    import PageCement from 'vendor/pageCement/src/PageCement.js';
+    import { createFakeEnv } from 'vendor/pageCement/src/testing.js';
+
+    const env = createFakeEnv({ width: 390, height: 844 });
+    const cement = new PageCement({ window: env.window, keyboardCombos: 'zoom' });
+    cement.enable();
+    env.flush();                                   // run queued frames
+    env.document.documentElement.style.getPropertyValue('--vh');   // '8.44px'
+
+    env.key('Ctrl+=').defaultPrevented;            // true
+    env.showKeyboard(300); env.flush();            // visualViewport shrinks
+    cement.disable();
+
+What is simulated:
+    events      – capture / target / bubble, composedPath(), once, passive
+                  listeners (preventDefault() is ignored in them)
+    elements    – attributes, inline style (camelCase and setProperty),
+                  matches() / closest() / querySelector[All]() for tag, #id,
+                  .class, [attr], [attr=v] (also ~= ^= $= *= |=), descendant
+                  and child combinators, open / closed shadow roots, focus
+    window      – innerWidth / innerHeight, devicePixelRatio, visualViewport,
+                  matchMedia() (resolution queries fire on setZoom()),
+                  getComputedStyle() (inline styles; env(safe-area-inset-*)
+                  resolves to `safeArea`), scrollTo(), MutationObserver,
+                  ResizeObserver, CSSStyleSheet + adoptedStyleSheets (text
+                  only), in-memory sessionStorage / localStorage,
+                  requestAnimationFrame() queued until flush()
+Layout is not: scrollHeight / clientHeight and friends are plain fields to
+set by hand (setSize() for the box sizes ResizeObserver reports).
+
+Helpers on the returned object:
+    flush()                  run queued frames (and frames they queue), and
+                             pending MutationObserver / ResizeObserver callbacks
+    advance(ms)              move the event / frame clock forward, running
+                             window.setTimeout() callbacks that come due
+    resize(width, height)    layout viewport size (+ visualViewport), fires resize
+    setScale(scale)          visualViewport.scale, as after a pinch
+    setZoom(dpr)             devicePixelRatio, as after browser zoom
+    showKeyboard(height)     shrink visualViewport (or report through
+    hideKeyboard()           navigator.virtualKeyboard with `virtualKeyboard`)
+    load()                   finish loading a `loading: true` document
+    create(tag, attrs, parent)   element appended to `parent` (body)
+    setSize(el, width, height)   offset / client size, reported on flush()
+    dispatch(target, type, init) dispatch an event, return it
+    key(combo | init, target)    keydown: 'Ctrl+Shift+R', 'Mod+=', 'F5' …
+    wheel(init, target)          wheel (deltaY 100 unless given)
+    touch(type, points, target)  touchstart / touchmove / touchend with
+                                 [{ x, y }] points
+target defaults to the focused element, else body.
+*/
+
+// ---------------------------------------------------------------------------
+// Events
+
+class FakeEvent {
+    constructor(type, init = {}) {
+	const { bubbles = false, cancelable = false, composed = false, ...rest } = init;
+	Object.assign(this, rest);
+	this.type = type;
+	this.bubbles = bubbles;
+	this.cancelable = cancelable;
+	this.composed = composed;
+	this.defaultPrevented = false;
+	this.target = null;
+	this.currentTarget = null;
+	this.eventPhase = 0;
+	this.timeStamp = rest.timeStamp || 0;
+	this._path = [];
+	this._passive = false;
+	this._stop = false;
+	this._stopNow = false;
+    }
+
+    preventDefault() {
+	if (this.cancelable && !this._passive) this.defaultPrevented = true;
+    }
+
+    stopPropagation() { this._stop = true; }
+
+    stopImmediatePropagation() { this._stop = this._stopNow = true; }
+
+    composedPath() { return this.eventPhase ? this._path.slice() : []; }
+}
+
+class FakeEventTarget {
+    constructor() {
+	this._listeners = [];
+    }
+
+    addEventListener(type, listener, options) {
+	if (!listener) return;
+	const opts = typeof options === 'boolean' ? { capture: options } : (options || {});
+	const capture = !!opts.capture;
+	if (this._listeners.some(l => l.type === type && l.listener === listener && l.capture === capture)) return;
+	this._listeners.push({ type, listener, capture, passive: !!opts.passive, once: !!opts.once });
+    }
+
+    removeEventListener(type, listener, options) {
+	const capture = typeof options === 'boolean' ? options : !!(options && options.capture);
+	const i = this._listeners.findIndex(l => l.type === type && l.listener === listener && l.capture === capture);
+	if (i !== -1) this._listeners.splice(i, 1)[0].removed = true;
+    }
+
+    dispatchEvent(event) {
+	const path = eventPath(this, event.composed);
+	event.target = this;
+	event._path = path;
+
+	const invoke = (node, phase) => {
+	    event.currentTarget = node;
+	    event.eventPhase = node === this ? 2 : phase;
+	    for (const l of node._listeners.slice()) {
+		if (l.type !== event.type || l.removed) continue;
+		if (node !== this && l.capture !== (phase === 1)) continue;
+		if (l.once) node.removeEventListener(l.type, l.listener, l.capture);
+		event._passive = l.passive;
+		if (typeof l.listener === 'function') l.listener.call(node, event);
+		else l.listener.handleEvent(event);
+		event._passive = false;
+		if (event._stopNow) break;
+	    }
+	};
+
+	for (let i = path.length - 1; i > 0 && !event._stop; i--) invoke(path[i], 1);
+	if (!event._stop) invoke(this, 2);
+	if (event.bubbles) {
+	    for (let i = 1; i < path.length && !event._stop; i++) invoke(path[i], 3);
+	}
+	event.currentTarget = null;
+	event.eventPhase = 0;
+	return !event.defaultPrevented;
+    }
+}
+
+// target → window, crossing into shadow hosts for composed events
+function eventPath(target, composed) {
+    const path = [target];
+    let node = target;
+    while (node) {
+	let next = node.parentNode || null;
+	if (!next && node.nodeType === 11 && composed) next = node.host;
+	if (!next && node.nodeType === 9) next = node.defaultView;
+	if (next) path.push(next);
+	node = next && next.nodeType ? next : null;
+    }
+    return path;
+}
+
+// ---------------------------------------------------------------------------
+// Selectors
+
+const SELECTOR_TOKEN = new RegExp([
+    /\s*(>)\s*/.source,                              // 1 child combinator
+    /(\s+)/.source,                                  // 2 descendant combinator
+    /(\*|[A-Za-z][\w-]*)/.source,                    // 3 tag
+    /#([\w-]+)/.source,                              // 4 id
+    /\.([\w-]+)/.source,                             // 5 class
+    /\[\s*([\w-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]/.source, // 6-10 attribute
+].join('|'), 'y');
+
+const PARSED = new Map(); // selector → [[{ compound, combinator }]]
+
+function parseSelector(selector) {
+    if (PARSED.has(selector)) return PARSED.get(selector);
+    const fail = () => { throw new SyntaxError(`'${selector}' is not a valid selector`); };
+    const alternatives = String(selector).split(/,(?![^[]*\])/).map((part) => {
+	const text = part.trim();
+	if (!text) fail();
+	const chain = [];
+	let compound = null;
+	let combinator = null;
+	SELECTOR_TOKEN.lastIndex = 0;
+	while (SELECTOR_TOKEN.lastIndex < text.length) {
+	    const start = SELECTOR_TOKEN.lastIndex;
+	    const m = SELECTOR_TOKEN.exec(text);
+	    if (!m || m.index !== start) fail();
+	    if (m[1] || m[2]) {
+		if (!compound) fail();
+		chain.push({ compound, combinator });
+		compound = null;
+		combinator = m[1] ? '>' : ' ';
+		continue;
+	    }
+	    compound = compound || { tag: null, id: null, classes: [], attrs: [] };
+	    if (m[3]) compound.tag = m[3] === '*' ? null : m[3].toUpperCase();
+	    else if (m[4]) compound.id = m[4];
+	    else if (m[5]) compound.classes.push(m[5]);
+	    else compound.attrs.push({ name: m[6], op: m[7] || null, value: m[8] ?? m[9] ?? m[10] ?? '' });
+	}
+	if (!compound) fail();
+	chain.push({ compound, combinator });
+	return chain;
+    });
+    PARSED.set(selector, alternatives);
+    return alternatives;
+}
+
+function matchAttr(el, { name, op, value }) {
+    const actual = el.getAttribute(name);
+    if (actual === null) return false;
+    switch (op) {
+    case null: return true;
+    case '=': return actual === value;
+    case '~=': return actual.split(/\s+/).includes(value);
+    case '^=': return value !== '' && actual.startsWith(value);
+    case '$=': return value !== '' && actual.endsWith(value);
+    case '*=': return value !== '' && actual.includes(value);
+    case '|=': return actual === value || actual.startsWith(`${value}-`);
+    default: return false;
+    }
+}
+
+function matchCompound(el, c) {
+    if (c.tag && el.tagName !== c.tag) return false;
+    if (c.id && el.id !== c.id) return false;
+    if (c.classes.length) {
+	const classes = el.className.split(/\s+/);
+	if (!c.classes.every(name => classes.includes(name))) return false;
+    }
+    return c.attrs.every(a => matchAttr(el, a));
+}
+
+function matchChain(el, chain, i) {
+    const { compound, combinator } = chain[i];
+    if (!matchCompound(el, compound)) return false;
+    if (i === 0) return true;
+    if (combinator === '>') return !!el.parentElement && matchChain(el.parentElement, chain, i - 1);
+    for (let p = el.parentElement; p; p = p.parentElement) {
+	if (matchChain(p, chain, i - 1)) return true;
+    }
+    return false;
+}
+
+function matches(el, selector) {
+    return parseSelector(selector).some(chain => matchChain(el, chain, chain.length - 1));
+}
+
+// ---------------------------------------------------------------------------
+// Styles
+
+function toKebab(name) {
+    return name.replace(/^(webkit|moz|ms)(?=[A-Z])/, '-$1').replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+// CSSStyleDeclaration: setProperty() / camelCase / cssText over one map
+function createStyle(onChange) {
+    const props = new Map(); // kebab name → { value, priority }
+    const api = {
+	setProperty(name, value, priority = '') {
+	    if (value == null || value === '') props.delete(name);
+	    else props.set(name, { value: String(value), priority: priority || '' });
+	    onChange();
+	},
+	getPropertyValue(name) {
+	    const p = props.get(name);
+	    return p ? p.value : '';
+	},
+	getPropertyPriority(name) {
+	    const p = props.get(name);
+	    return p ? p.priority : '';
+	},
+	removeProperty(name) {
+	    const value = api.getPropertyValue(name);
+	    props.delete(name);
+	    onChange();
+	    return value;
+	},
+	item(i) {
+	    return [...props.keys()][i] || '';
+	},
+	get length() {
+	    return props.size;
+	},
+	get cssText() {
+	    return [...props].map(([k, p]) => `${k}: ${p.value}${p.priority ? ' !important' : ''};`).join(' ');
+	},
+	set cssText(text) {
+	    props.clear();
+	    for (const decl of String(text).split(';')) {
+		const i = decl.indexOf(':');
+		if (i === -1) continue;
+		const value = decl.slice(i + 1).trim();
+		const important = /\s*!important$/.test(value);
+		api.setProperty(decl.slice(0, i).trim(), value.replace(/\s*!important$/, ''), important ? 'important' : '');
+	    }
+	    onChange();
+	},
+    };
+    return new Proxy(api, {
+	get(target, key) {
+	    if (typeof key !== 'string' || key in target) return Reflect.get(target, key);
+	    return target.getPropertyValue(toKebab(key));
+	},
+	set(target, key, value) {
+	    if (typeof key !== 'string' || key in target) return Reflect.set(target, key, value);
+	    target.setProperty(toKebab(key), value);
+	    return true;
+	},
+    });
+}
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+// Inline styles as "computed": shorthands expanded for overflow / padding,
+// env(safe-area-inset-*) replaced by the environment's values
+function computedStyle(el, safeArea) {
+    const resolve = (value) => value.replace(
+	/env\(\s*safe-area-inset-(top|right|bottom|left)\s*(?:,[^)]*)?\)/g,
+	(_, side) => `${safeArea[side] || 0}px`);
+    const read = (name) => {
+	const own = el.style.getPropertyValue(name);
+	if (own) return resolve(own);
+	const m = /^(overflow)-[xy]$|^(padding|margin)-(top|right|bottom|left)$/.exec(name);
+	if (m && m[1]) return el.style.getPropertyValue('overflow') || 'visible';
+	if (m) {
+	    const parts = resolve(el.style.getPropertyValue(m[2])).split(/\s+/).filter(Boolean);
+	    if (!parts.length) return '0px';
+	    const at = [[0, 0, 0, 0], [0, 1, 0, 1], [0, 1, 2, 1], [0, 1, 2, 3]][Math.min(parts.length, 4) - 1];
+	    return parts[at[SIDES.indexOf(m[3])]];
+	}
+	return name === 'overflow' ? 'visible' : '';
+    };
+    return new Proxy({ getPropertyValue: read }, {
+	get(target, key) {
+	    if (typeof key !== 'string' || key in target) return Reflect.get(target, key);
+	    return read(toKebab(key));
+	},
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Nodes
+
+class FakeNode extends FakeEventTarget {
+    constructor(nodeType, ownerDocument) {
+	super();
+	this.nodeType = nodeType;
+	this.ownerDocument = ownerDocument;
+	this.parentNode = null;
+	this.childNodes = [];
+    }
+
+    get parentElement() {
+	return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null;
+    }
+
+    get children() {
+	return this.childNodes.filter(n => n.nodeType === 1);
+    }
+
+    get firstChild() { return this.childNodes[0] || null; }
+
+    get isConnected() {
+	return this.getRootNode({ composed: true }).nodeType === 9;
+    }
+
+    getRootNode(options = {}) {
+	let node = this;
+	for (;;) {
+	    if (node.parentNode) node = node.parentNode;
+	    else if (options.composed && node.nodeType === 11 && node.host) node = node.host;
+	    else return node;
+	}
+    }
+
+    contains(other) {
+	for (let n = other; n; n = n.parentNode) {
+	    if (n === this) return true;
+	}
+	return false;
+    }
+
+    appendChild(child) {
+	return this.insertBefore(child, null);
+    }
+
+    insertBefore(child, ref) {
+	if (child.parentNode) child.parentNode.removeChild(child);
+	const i = ref ? this.childNodes.indexOf(ref) : -1;
+	if (i === -1) this.childNodes.push(child);
+	else this.childNodes.splice(i, 0, child);
+	child.parentNode = this;
+	this._mutated('childList');
+	return child;
+    }
+
+    removeChild(child) {
+	const i = this.childNodes.indexOf(child);
+	if (i === -1) throw new Error('not a child of this node');
+	this.childNodes.splice(i, 1);
+	child.parentNode = null;
+	this._mutated('childList');
+	return child;
+    }
+
+    remove() {
+	if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    querySelectorAll(selector) {
+	parseSelector(selector);
+	const out = [];
+	const walk = (node) => {
+	    for (const child of node.childNodes) {
+		if (child.nodeType !== 1) continue;
+		if (matches(child, selector)) out.push(child);
+		walk(child);
+	    }
+	};
+	walk(this);
+	return out;
+    }
+
+    querySelector(selector) {
+	return this.querySelectorAll(selector)[0] || null;
+    }
+
+    _mutated(type) {
+	const env = this.ownerDocument ? this.ownerDocument._env : this._env;
+	if (env) env.mutated(this, type);
+    }
+}
+
+class FakeElement extends FakeNode {
+    constructor(tagName, ownerDocument) {
+	super(1, ownerDocument);
+	this.tagName = String(tagName).toUpperCase();
+	this.localName = String(tagName).toLowerCase();
+	this.nodeName = this.tagName;
+	this.attributes = new Map();
+	this.style = createStyle(() => this._mutated('attributes'));
+	this.shadowRoot = null;
+	this.scrollTop = 0;
+	this.scrollLeft = 0;
+	this.scrollHeight = 0;
+	this.scrollWidth = 0;
+	this.clientHeight = 0;
+	this.clientWidth = 0;
+	this.offsetHeight = 0;
+	this.offsetWidth = 0;
+	this._text = '';
+    }
+
+    get id() { return this.getAttribute('id') || ''; }
+    set id(value) { this.setAttribute('id', value); }
+
+    get className() { return this.getAttribute('class') || ''; }
+    set className(value) { this.setAttribute('class', value); }
+
+    get type() {
+	const type = this.getAttribute('type');
+	if (this.tagName === 'INPUT') return (type || 'text').toLowerCase();
+	return type || '';
+    }
+
+    set type(value) { this.setAttribute('type', value); }
+
+    get textContent() { return this._text; }
+    set textContent(value) { this._text = String(value); }
+
+    get isContentEditable() {
+	for (let el = this; el; el = el.parentElement) {
+	    const v = el.getAttribute('contenteditable');
+	    if (v === null || v === 'inherit') continue;
+	    return v !== 'false';
+	}
+	return false;
+    }
+
+    getAttribute(name) {
+	const v = this.attributes.get(String(name).toLowerCase());
+	return v === undefined ? null : v;
+    }
+
+    setAttribute(name, value) {
+	this.attributes.set(String(name).toLowerCase(), String(value));
+	this._mutated('attributes');
+    }
+
+    removeAttribute(name) {
+	if (this.attributes.delete(String(name).toLowerCase())) this._mutated('attributes');
+    }
+
+    hasAttribute(name) {
+	return this.attributes.has(String(name).toLowerCase());
+    }
+
+    matches(selector) {
+	return matches(this, selector);
+    }
+
+    closest(selector) {
+	parseSelector(selector);
+	for (let el = this; el; el = el.parentElement) {
+	    if (matches(el, selector)) return el;
+	}
+	return null;
+    }
+
+    attachShadow({ mode = 'open' } = {}) {
+	const root = new FakeShadowRoot(this, mode);
+	this._shadow = root;
+	if (mode === 'open') this.shadowRoot = root;
+	return root;
+    }
+
+    focus() {
+	const doc = this.ownerDocument;
+	const prev = doc._focused;
+	if (prev === this) return;
+	if (prev) prev.dispatchEvent(new FakeEvent('focusout', { bubbles: true, composed: true, relatedTarget: this }));
+	doc._focused = this;
+	this.dispatchEvent(new FakeEvent('focusin', { bubbles: true, composed: true, relatedTarget: prev }));
+    }
+
+    blur() {
+	const doc = this.ownerDocument;
+	if (doc._focused !== this) return;
+	doc._focused = null;
+	this.dispatchEvent(new FakeEvent('focusout', { bubbles: true, composed: true, relatedTarget: null }));
+    }
+}
+
+class FakeShadowRoot extends FakeNode {
+    constructor(host, mode) {
+	super(11, host.ownerDocument);
+	this.host = host;
+	this.mode = mode;
+	this.activeElement = null;
+    }
+}
+
+class FakeDocument extends FakeNode {
+    constructor(env) {
+	super(9, null);
+	this._env = env;
+	this._focused = null;
+	this.defaultView = null;
+	this.readyState = 'complete';
+	this.adoptedStyleSheets = [];
+	this.documentElement = this.createElement('html');
+	this.head = this.createElement('head');
+	this.body = this.createElement('body');
+	this.appendChild(this.documentElement);
+	this.documentElement.appendChild(this.head);
+	this.documentElement.appendChild(this.body);
+    }
+
+    get activeElement() {
+	const f = this._focused;
+	return f && f.isConnected ? f : this.body;
+    }
+
+    createElement(tagName) {
+	return new FakeElement(tagName, this);
+    }
+
+    getElementById(id) {
+	return this.querySelector(`[id="${id}"]`);
+    }
+}
+
+// Constructable sheet: keeps its text as a single rule, no parsing
+class FakeCSSStyleSheet {
+    constructor() {
+	this.cssRules = [];
+    }
+
+    replaceSync(text) {
+	this.cssRules = text ? [{ cssText: String(text) }] : [];
+    }
+
+    replace(text) {
+	this.replaceSync(text);
+	return Promise.resolve(this);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Environment
+
+function createStorage() {
+    const items = new Map();
+    return {
+	getItem: (key) => (items.has(String(key)) ? items.get(String(key)) : null),
+	setItem: (key, value) => { items.set(String(key), String(value)); },
+	removeItem: (key) => { items.delete(String(key)); },
+	clear: () => items.clear(),
+	key: (i) => [...items.keys()][i] ?? null,
+	get length() { return items.size; },
+    };
+}
+
+const KEY_CODES = { '=': 'Equal', '+': 'Equal', '-': 'Minus', '0': 'Digit0', ' ': 'Space', ',': 'Comma', '.': 'Period' };
+
+/**
+ * Build a fake window/document pair plus helpers to drive it.
+ * @param {Object} [options]
+ * @param {number} [options.width=1024]          innerWidth
+ * @param {number} [options.height=768]          innerHeight
+ * @param {number} [options.devicePixelRatio=1]
+ * @param {boolean} [options.mac=false]          Mac-like navigator ('Mod' = Meta)
+ * @param {boolean} [options.virtualKeyboard=false]  Provide navigator.virtualKeyboard
+ * @param {boolean} [options.visualViewport=true]    Provide window.visualViewport
+ * @param {boolean} [options.loading=false]      Start with readyState 'loading' (see load())
+ * @param {{top?: number, right?: number, bottom?: number, left?: number}} [options.safeArea]
+ * @returns {object} { window, document, visualViewport, flush, advance, ... } (see above)
+ */
+export function createFakeEnv(options = {}) {
+    const {
+	width = 1024,
+	height = 768,
+	devicePixelRatio = 1,
+	mac = false,
+	virtualKeyboard = false,
+	visualViewport = true,
+	loading = false,
+	safeArea = {},
+    } = options;
+
+    let clock = 1;
+    let frames = [];     // [id, callback]
+    let nextFrame = 1;
+    let timers = [];     // { id, at, callback, args }, run by advance()
+    let nextTimer = 1;
+    const observers = new Set();
+    const pending = new Set();
+    const queries = new Set();
+    const resizeObservers = new Set();
+
+    const deliver = () => {
+	for (const mo of [...pending]) {
+	    pending.delete(mo);
+	    mo._callback([], mo);
+	}
+    };
+
+    const env = {
+	mutated(node) {
+	    for (const mo of observers) {
+		if (pending.has(mo) || !mo._targets.some(t => t === node || (mo._subtree && t.contains(node)))) continue;
+		if (!pending.size) queueMicrotask(deliver);
+		pending.add(mo);
+	    }
+	},
+    };
+
+    class FakeMutationObserver {
+	constructor(callback) {
+	    this._callback = callback;
+	    this._targets = [];
+	    this._subtree = false;
+	}
+
+	observe(target, init = {}) {
+	    this._targets.push(target);
+	    this._subtree = this._subtree || !!init.subtree;
+	    observers.add(this);
+	}
+
+	disconnect() {
+	    this._targets = [];
+	    observers.delete(this);
+	    pending.delete(this);
+	}
+
+	takeRecords() { return []; }
+    }
+
+    // Reports the border box (offsetWidth / offsetHeight) when it changed
+    class FakeResizeObserver {
+	constructor(callback) {
+	    this._callback = callback;
+	    this._targets = new Map(); // element → last reported 'w x h'
+	}
+
+	observe(target) {
+	    if (!this._targets.has(target)) this._targets.set(target, null);
+	    resizeObservers.add(this);
+	}
+
+	unobserve(target) {
+	    this._targets.delete(target);
+	}
+
+	disconnect() {
+	    this._targets.clear();
+	    resizeObservers.delete(this);
+	}
+
+	_notify() {
+	    const entries = [];
+	    for (const [target, last] of this._targets) {
+		const size = `${target.offsetWidth}x${target.offsetHeight}`;
+		if (size === last) continue;
+		this._targets.set(target, size);
+		const box = [{ inlineSize: target.offsetWidth, blockSize: target.offsetHeight }];
+		entries.push({
+		    target,
+		    contentRect: { x: 0, y: 0, top: 0, left: 0, width: target.clientWidth, height: target.clientHeight },
+		    borderBoxSize: box,
+		    contentBoxSize: [{ inlineSize: target.clientWidth, blockSize: target.clientHeight }],
+		});
+	    }
+	    if (entries.length) this._callback(entries, this);
+	}
+    }
+
+    const notifySizes = () => {
+	for (const ro of [...resizeObservers]) ro._notify();
+    };
+
+    const doc = new FakeDocument(env);
+    if (loading) doc.readyState = 'loading';
+
+    const win = new FakeEventTarget();
+    const vv = visualViewport ? Object.assign(new FakeEventTarget(), {
+	width, height, scale: 1, offsetTop: 0, offsetLeft: 0, pageTop: 0, pageLeft: 0,
+    }) : undefined;
+    const vk = virtualKeyboard ? Object.assign(new FakeEventTarget(), {
+	overlaysContent: false,
+	boundingRect: { x: 0, y: 0, width: 0, height: 0, top: 0, left: 0, right: 0, bottom: 0 },
+    }) : undefined;
+
+    Object.assign(win, {
+	document: doc,
+	innerWidth: width,
+	innerHeight: height,
+	outerWidth: width,
+	outerHeight: height,
+	devicePixelRatio,
+	visualViewport: vv,
+	scrollX: 0,
+	scrollY: 0,
+	pageXOffset: 0,
+	pageYOffset: 0,
+	frameElement: null,
+	sessionStorage: createStorage(),
+	localStorage: createStorage(),
+	navigator: {
+	    userAgent: mac ? 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) FakeEnv' : 'Mozilla/5.0 (X11; Linux x86_64) FakeEnv',
+	    platform: mac ? 'MacIntel' : 'Linux x86_64',
+	    maxTouchPoints: 0,
+	    virtualKeyboard: vk,
+	},
+	Node: FakeNode,
+	Element: FakeElement,
+	HTMLElement: FakeElement,
+	ShadowRoot: FakeShadowRoot,
+	Event: FakeEvent,
+	EventTarget: FakeEventTarget,
+	MutationObserver: FakeMutationObserver,
+	ResizeObserver: FakeResizeObserver,
+	CSSStyleSheet: FakeCSSStyleSheet,
+	getComputedStyle: (el) => computedStyle(el, safeArea),
+	matchMedia(query) {
+	    const mql = Object.assign(new FakeEventTarget(), {
+		media: String(query),
+		onchange: null,
+		get matches() { return evaluateQuery(this.media); },
+		addListener(fn) { this.addEventListener('change', fn); },
+		removeListener(fn) { this.removeEventListener('change', fn); },
+	    });
+	    mql._was = mql.matches;
+	    queries.add(new WeakRef(mql));
+	    return mql;
+	},
+	requestAnimationFrame(callback) {
+	    const id = nextFrame++;
+	    frames.push([id, callback]);
+	    return id;
+	},
+	cancelAnimationFrame(id) {
+	    frames = frames.filter(([fid]) => fid !== id);
+	},
+	scrollTo(x, y) {
+	    const to = typeof x === 'object' && x ? x : { left: x, top: y };
+	    if (to.left != null) win.scrollX = win.pageXOffset = Number(to.left) || 0;
+	    if (to.top != null) win.scrollY = win.pageYOffset = Number(to.top) || 0;
+	},
+	setTimeout(callback, ms = 0, ...args) {
+	    const id = nextTimer++;
+	    timers.push({ id, at: clock + Math.max(0, Number(ms) || 0), callback, args });
+	    return id;
+	},
+	clearTimeout(id) {
+	    timers = timers.filter(t => t.id !== id);
+	},
+    });
+    win.window = win.self = win.top = win.parent = win;
+    doc.defaultView = win;
+
+    // Only what matchMedia() is used for here: (resolution: Ndppx), widths
+    function evaluateQuery(media) {
+	const m = /\(\s*(min-|max-)?(resolution|width|height)\s*:\s*([\d.]+)(dppx|px)?\s*\)/.exec(media);
+	if (!m) return false;
+	const actual = m[2] === 'resolution' ? win.devicePixelRatio : m[2] === 'width' ? win.innerWidth : win.innerHeight;
+	const want = Number(m[3]);
+	if (m[1] === 'min-') return actual >= want;
+	if (m[1] === 'max-') return actual <= want;
+	return Math.abs(actual - want) < 1e-6;
+    }
+
+    const fire = (target, type, init) => {
+	const e = new FakeEvent(type, { timeStamp: clock, ...init });
+	target.dispatchEvent(e);
+	return e;
+    };
+
+    const defaultTarget = () => doc._focused && doc._focused.isConnected ? doc._focused : doc.body;
+
+    const vvChanged = () => {
+	if (vv) fire(vv, 'resize');
+    };
+
+    function keyInit(combo) {
+	if (typeof combo === 'object') return combo;
+	const parts = String(combo).split('+');
+	// 'Ctrl++' → ['Ctrl', '', '']
+	let key = parts.pop();
+	if (key === '' && parts[parts.length - 1] === '') { parts.pop(); key = '+'; }
+	const init = { ctrlKey: false, shiftKey: false, altKey: false, metaKey: false };
+	for (const raw of parts) {
+	    const mod = raw.toLowerCase();
+	    if (mod === 'mod') init[mac ? 'metaKey' : 'ctrlKey'] = true;
+	    else if (mod === 'ctrl' || mod === 'control') init.ctrlKey = true;
+	    else if (mod === 'cmd' || mod === 'meta') init.metaKey = true;
+	    else if (mod === 'alt' || mod === 'option') init.altKey = true;
+	    else if (mod === 'shift') init.shiftKey = true;
+	}
+	if (key === 'Space') key = ' ';
+	if (/^[a-z]$/i.test(key)) {
+	    init.code = `Key${key.toUpperCase()}`;
+	    key = init.shiftKey ? key.toUpperCase() : key.toLowerCase();
+	} else if (/^\d$/.test(key)) {
+	    init.code = `Digit${key}`;
+	} else {
+	    init.code = KEY_CODES[key] || key;
+	}
+	init.key = key;
+	return init;
+    }
+
+    const toTouches = (points, target) => points.map((p, i) => ({
+	identifier: p.id ?? i,
+	target,
+	clientX: p.x, clientY: p.y,
+	pageX: p.x, pageY: p.y,
+	screenX: p.x, screenY: p.y,
+    }));
+
+    return {
+	window: win,
+	document: doc,
+	visualViewport: vv,
+
+	flush() {
+	    deliver();
+	    notifySizes();
+	    let ran = 0;
+	    for (let guard = 0; frames.length && guard < 100; guard++) {
+		const batch = frames;
+		frames = [];
+		for (const [, cb] of batch) {
+		    cb(clock);
+		    ran++;
+		}
+		deliver();
+		notifySizes();
+	    }
+	    return ran;
+	},
+
+	advance(ms = 16) {
+	    const until = clock + ms;
+	    // due timers in order; ones they set run too if due by `until`
+	    for (;;) {
+		const due = timers.filter(t => t.at <= until).sort((a, b) => a.at - b.at || a.id - b.id)[0];
+		if (!due) break;
+		timers = timers.filter(t => t !== due);
+		clock = Math.max(clock, due.at);
+		due.callback(...due.args);
+	    }
+	    clock = until;
+	    return clock;
+	},
+
+	resize(w = win.innerWidth, h = win.innerHeight) {
+	    win.innerWidth = win.outerWidth = w;
+	    win.innerHeight = win.outerHeight = h;
+	    if (vv) {
+		vv.width = w / vv.scale;
+		vv.height = h / vv.scale;
+	    }
+	    fire(win, 'resize');
+	    vvChanged();
+	},
+
+	setScale(scale) {
+	    if (!vv) return;
+	    vv.scale = scale;
+	    vv.width = win.innerWidth / scale;
+	    vv.height = win.innerHeight / scale;
+	    vvChanged();
+	},
+
+	setZoom(dpr) {
+	    win.devicePixelRatio = dpr;
+	    for (const ref of [...queries]) {
+		const mql = ref.deref();
+		if (!mql) { queries.delete(ref); continue; }
+		const now = mql.matches;
+		if (now === mql._was) continue;
+		mql._was = now;
+		const e = fire(mql, 'change', { matches: now, media: mql.media });
+		if (typeof mql.onchange === 'function') mql.onchange(e);
+	    }
+	    fire(win, 'resize');
+	},
+
+	showKeyboard(h = 300) {
+	    if (vk) {
+		vk.boundingRect = { ...vk.boundingRect, height: h, top: win.innerHeight - h, bottom: win.innerHeight, width: win.innerWidth, right: win.innerWidth };
+		fire(vk, 'geometrychange');
+		return;
+	    }
+	    if (!vv) return;
+	    vv.height = (win.innerHeight - h) / vv.scale;
+	    vvChanged();
+	},
+
+	hideKeyboard() {
+	    if (vk) {
+		vk.boundingRect = { x: 0, y: 0, width: 0, height: 0, top: 0, left: 0, right: 0, bottom: 0 };
+		fire(vk, 'geometrychange');
+		return;
+	    }
+	    if (!vv) return;
+	    vv.height = win.innerHeight / vv.scale;
+	    vvChanged();
+	},
+
+	load() {
+	    if (doc.readyState !== 'loading') return;
+	    doc.readyState = 'interactive';
+	    fire(doc, 'DOMContentLoaded', { bubbles: true });
+	    doc.readyState = 'complete';
+	    fire(win, 'load');
+	},
+
+	create(tag, attrs = {}, parent = doc.body) {
+	    const el = doc.createElement(tag);
+	    for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+	    if (parent) parent.appendChild(el);
+	    return el;
+	},
+
+	setSize(el, w, h) {
+	    el.offsetWidth = el.clientWidth = w;
+	    el.offsetHeight = el.clientHeight = h;
+	},
+
+	dispatch(target, type, init = {}) {
+	    return fire(target, type, { bubbles: true, cancelable: true, composed: true, ...init });
+	},
+
+	key(combo, target = defaultTarget()) {
+	    return fire(target, 'keydown', { bubbles: true, cancelable: true, composed: true, ...keyInit(combo) });
+	},
+
+	wheel(init = {}, target = defaultTarget()) {
+	    return fire(target, 'wheel', {
+		bubbles: true, cancelable: true, composed: true,
+		deltaX: 0, deltaY: 100, deltaMode: 0, ctrlKey: false, ...init,
+	    });
+	},
+
+	touch(type, points = [], target = defaultTarget()) {
+	    const list = toTouches(points, target);
+	    const ended = type === 'touchend' || type === 'touchcancel';
+	    return fire(target, type, {
+		bubbles: true, cancelable: true, composed: true,
+		touches: ended ? [] : list,
+		targetTouches: ended ? [] : list,
+		changedTouches: list,
+	    });
+	},
+    };
+}
+
+export default createFakeEnv;
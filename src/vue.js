@@ -0,0 +1,67 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+/*
+Vue-style directive
+===================
+No Vue import here: the directive is a plain hook object.
+
+    import { createPageCementDirective } from 'vendor/pageCement/src/vue.js';
+    app.directive('page-cement', createPageCementDirective());
+
+    <section v-page-cement="{ lockScroll: true, guards: ['reload'] }">
+    <section v-page-cement.allow="{ keyboardCombos: 'zoom' }">   (own subtree allowed)
+
+Enables when the element mounts, disables when it unmounts; value changes
+go through updateOptions() (only what really changed). Vue 2 hook names
+(bind / componentUpdated / unbind) are provided too.
+*/
+
+import { bindPageCement } from './binding.js';
+
+const BINDINGS = new WeakMap(); // element → binding
+
+function optionsFor(el, binding) {
+    const options = { document: el.ownerDocument, ...(binding.value || {}) };
+    if (binding.modifiers && binding.modifiers.allow) {
+	options.allow = [...(options.allow == null ? [] : [].concat(options.allow)), el];
+    }
+    return options;
+}
+
+/**
+ * The PageCement instance a directive created for `el`, or null.
+ * @param {Element} el
+ */
+export function getPageCement(el) {
+    const binding = BINDINGS.get(el);
+    return binding ? binding.cement : null;
+}
+
+/** @returns {object} directive hooks */
+export function createPageCementDirective() {
+    const mounted = (el, binding) => {
+	const b = bindPageCement(optionsFor(el, binding));
+	BINDINGS.set(el, b);
+	b.mount();
+    };
+    const updated = (el, binding) => {
+	const b = BINDINGS.get(el);
+	if (b) b.update(optionsFor(el, binding));
+    };
+    const unmounted = (el) => {
+	const b = BINDINGS.get(el);
+	if (!b) return;
+	b.unmount();
+	BINDINGS.delete(el);
+    };
+
+    return {
+	mounted, updated, unmounted,
+	bind: mounted, componentUpdated: updated, unbind: unmounted,
+    };
+}
+
+export default createPageCementDirective;
@@ -0,0 +1,211 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+// enable / block / destroy on the fake environment (src/testing.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import PageCement from '../src/PageCement.js';
+import * as entry from '../src/index.js';
+import { createFakeEnv } from '../src/testing.js';
+
+test('index.js exports the class, named and default', () => {
+    assert.equal(entry.PageCement, PageCement);
+    assert.equal(entry.default, PageCement);
+});
+
+test('enable() writes --vh on the next frame, disable() removes it', () => {
+    const env = createFakeEnv({ width: 390, height: 844 });
+    const root = env.document.documentElement;
+    const cement = new PageCement({ window: env.window });
+
+    assert.equal(cement.enable(), true);
+    env.flush();
+    assert.equal(root.style.getPropertyValue('--vh'), '8.44px');
+
+    env.resize(390, 700);
+    env.flush();
+    assert.equal(root.style.getPropertyValue('--vh'), '7px');
+
+    assert.equal(cement.disable(), true);
+    assert.equal(root.style.getPropertyValue('--vh'), '');
+    assert.equal(cement.disable(), false);
+});
+
+test('zoom shortcuts and Ctrl+wheel are blocked, and reported', () => {
+    const env = createFakeEnv();
+    const cement = new PageCement({ window: env.window, keyboardCombos: 'zoom' });
+    const reasons = [];
+    cement.on('block', p => reasons.push(p.reason));
+    cement.enable();
+
+    assert.equal(env.key('Ctrl+=').defaultPrevented, true);
+    assert.equal(env.key('Ctrl+K').defaultPrevented, false);
+    assert.equal(env.wheel({ ctrlKey: true, deltaY: -100 }).defaultPrevented, true);
+    assert.equal(env.wheel({ deltaY: -100 }).defaultPrevented, false);
+    assert.deepEqual(reasons, ['key-combo', 'ctrl-wheel']);
+
+    cement.disable();
+    assert.equal(env.key('Ctrl+=').defaultPrevented, false);
+});
+
+test('allowed regions let zoom through', () => {
+    const env = createFakeEnv();
+    const map = env.create('div', { class: 'map' });
+    const cement = new PageCement({ window: env.window, allow: '.map', keyboardCombos: 'zoom' });
+    const allowed = [];
+    cement.on('allow', p => allowed.push(p.allowedBy));
+    cement.enable();
+
+    assert.equal(env.wheel({ ctrlKey: true, deltaY: -100 }, map).defaultPrevented, false);
+    assert.equal(env.wheel({ ctrlKey: true, deltaY: -100 }).defaultPrevented, true);
+    assert.deepEqual(allowed, ['region']);
+    cement.disable();
+});
+
+test('the scroll lock pins the body and destroy() restores the page', () => {
+    const env = createFakeEnv();
+    const { body } = env.document;
+    body.style.overscrollBehavior = 'contain';
+    env.window.scrollTo(0, 120);
+
+    const cement = new PageCement({ window: env.window, lockScroll: true });
+    cement.enable();
+    assert.equal(body.style.position, 'fixed');
+    assert.equal(body.style.top, '-120px');
+    assert.equal(body.style.overscrollBehavior, 'none');
+
+    cement.controller.destroy();
+    assert.equal(body.style.position, '');
+    assert.equal(body.style.overscrollBehavior, 'contain');
+    assert.equal(env.window.scrollY, 120);
+    assert.equal(cement.enabled, false);
+});
+
+test('stacked instances: the newest decides, in any teardown order', () => {
+    const env = createFakeEnv();
+    const html = env.document.documentElement;
+    html.style.touchAction = 'pan-y';
+    const shell = new PageCement({ window: env.window, keyboardCombos: 'zoom', touchAction: 'manipulation' });
+    const modal = new PageCement({ window: env.window, keyboardCombos: false, touchAction: 'none' });
+    shell.enable();
+    modal.enable();
+
+    assert.equal(env.key('Ctrl+=').defaultPrevented, false);
+    assert.equal(html.style.touchAction, 'none');
+
+    // a rewiring option change keeps the shell below the modal
+    shell.updateOptions({ blockPinch: false });
+    assert.equal(env.key('Ctrl+=').defaultPrevented, false);
+
+    shell.disable();
+    assert.equal(html.style.touchAction, 'none');
+    modal.disable();
+    assert.equal(html.style.touchAction, 'pan-y');
+});
+
+test('a11y: the shortcut unlocks zoom and the announcement follows', () => {
+    const env = createFakeEnv();
+    const cement = new PageCement({ window: env.window, keyboardCombos: 'zoom', a11y: true });
+    cement.enable();
+
+    assert.equal(env.key('Ctrl+=').defaultPrevented, true);
+    env.key('Alt+Shift+Z');
+    assert.equal(env.key('Ctrl+=').defaultPrevented, false);
+
+    const live = env.document.querySelector('[data-page-cement-live]');
+    assert.equal(live.textContent, '');
+    env.advance(100);
+    assert.equal(live.textContent, 'Zoom unlocked for this session.');
+
+    cement.disable();
+    assert.equal(env.document.querySelector('[data-page-cement-live]'), null);
+});
+
+test('a11y: the unlock works under a topmost instance without a11y', () => {
+    const env = createFakeEnv();
+    const html = env.document.documentElement;
+    const shell = new PageCement({ window: env.window, a11y: { announce: false }, touchAction: 'pan-x pan-y' });
+    const modal = new PageCement({ window: env.window, keyboardCombos: 'zoom' });
+    const unlocks = [];
+    modal.on('zoomunlock', p => unlocks.push(p.source));
+    shell.enable();
+    modal.enable();
+
+    // blocks made by the modal count as attempts
+    for (let i = 0; i < 3; i++) {
+	assert.equal(env.key('Ctrl+=').defaultPrevented, true);
+	env.advance(1000);
+    }
+    assert.deepEqual(unlocks, ['attempts']);
+    assert.equal(env.key('Ctrl+=').defaultPrevented, false);
+    assert.equal(html.style.touchAction, 'pan-x pan-y pinch-zoom');
+
+    modal.disable();
+    shell.disable();
+    assert.equal(html.style.touchAction, '');
+
+    // the shortcut reaches the a11y instance too, and the next page view
+    // (same session) stays unlocked for an instance without a11y
+    env.window.sessionStorage.clear();
+    shell.enable();
+    modal.enable();
+    assert.equal(env.key('Alt+Shift+Z').defaultPrevented, true);
+    assert.equal(env.key('Ctrl+=').defaultPrevented, false);
+    shell.disable();
+    assert.equal(env.key('Ctrl+=').defaultPrevented, false);
+    modal.disable();
+});
+
+test('double-tap blocking spares buttons and links', () => {
+    const env = createFakeEnv();
+    const button = env.create('button');
+    const link = env.create('a', { href: '#next' });
+    const icon = env.create('span', {}, link);
+    const plain = env.create('div');
+    const cement = new PageCement({ window: env.window });
+    cement.enable();
+
+    const doubleTap = (target) => {
+	env.touch('touchstart', [{ x: 10, y: 10 }], target);
+	env.touch('touchend', [{ x: 10, y: 10 }], target);
+	env.advance(100);
+	env.touch('touchstart', [{ x: 10, y: 10 }], target);
+	const second = env.touch('touchend', [{ x: 10, y: 10 }], target);
+	env.advance(1000);
+	return second.defaultPrevented;
+    };
+    assert.equal(doubleTap(plain), true);
+    assert.equal(doubleTap(button), false);
+    assert.equal(doubleTap(icon), false);
+    cement.disable();
+});
+
+test('features: left-out sections stay off, even through the API', () => {
+    const env = createFakeEnv();
+    const cement = new PageCement({ window: env.window, features: ['viewport'] });
+    cement.enable();
+
+    assert.equal(cement.setViewportMeta({ maximumScale: 1 }), false);
+    assert.equal(env.document.querySelector('meta[name="viewport"]'), null);
+    assert.equal(cement.lockScroll(), false);
+    assert.equal(env.document.body.style.position, '');
+    cement.disable();
+});
+
+test('keyboardCombos: true ignores a modifier pressed on its own', () => {
+    const env = createFakeEnv();
+    const cement = new PageCement({ window: env.window, keyboardCombos: true });
+    const blocked = [];
+    cement.on('block', p => blocked.push(p.combo));
+    cement.enable();
+
+    assert.equal(env.key({ key: 'Control', code: 'ControlLeft', ctrlKey: true }).defaultPrevented, false);
+    assert.equal(env.key({ key: 'Meta', code: 'MetaLeft', metaKey: true }).defaultPrevented, false);
+    assert.equal(env.key('Ctrl+K').defaultPrevented, true);
+    assert.deepEqual(blocked, ['Ctrl+K']);
+    cement.disable();
+});
@@ -0,0 +1,96 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+// Guard presets, each on its own: compileGuards() / matchGuard()
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import PageCement from '../src/PageCement.js';
+import { GUARD_PRESETS, compileGuards, matchGuard } from '../src/guards.js';
+import { createFakeEnv } from '../src/testing.js';
+
+const env = createFakeEnv();
+const mac = createFakeEnv({ mac: true });
+const guardFor = (names, event, { inInput = false, onMac = false } = {}) => {
+    const hit = matchGuard(compileGuards(names, { mac: onMac }), event, inInput);
+    return hit ? hit.guard : null;
+};
+
+test('every preset compiles without unknown shortcuts', () => {
+    for (const name of Object.keys(GUARD_PRESETS)) {
+	for (const onMac of [false, true]) {
+	    const guards = compileGuards([name], { mac: onMac });
+	    assert.deepEqual(guards.unknown, []);
+	    assert.ok(guards.shortcuts.length || guards.behaviors.has(name), `${name} does something`);
+	}
+    }
+});
+
+test('unknown names are reported, behaviors collected', () => {
+    const guards = compileGuards(['reload', 'nope', 'overscroll']);
+    assert.deepEqual(guards.unknown, ['nope']);
+    assert.deepEqual([...guards.behaviors], ['overscroll']);
+    assert.equal(compileGuards('toString').unknown[0], 'toString');
+});
+
+test('zoom', () => {
+    assert.equal(guardFor(['zoom'], env.key('Ctrl+=')), 'zoom');
+    assert.equal(guardFor(['zoom'], env.key('Ctrl+0')), 'zoom');
+    assert.equal(guardFor(['zoom'], env.key('Ctrl+1')), null);
+});
+
+test('reload', () => {
+    for (const combo of ['F5', 'Ctrl+F5', 'Shift+F5', 'Ctrl+R', 'Ctrl+Shift+R']) {
+	assert.equal(guardFor(['reload'], env.key(combo)), 'reload', combo);
+    }
+    assert.equal(guardFor(['reload'], mac.key('Meta+R'), { onMac: true }), 'reload');
+    assert.equal(guardFor(['reload'], mac.key('Ctrl+R'), { onMac: true }), null);
+});
+
+test('navigation: Backspace only outside inputs, platform splits', () => {
+    const backspace = env.key('Backspace');
+    assert.equal(guardFor(['navigation'], backspace), 'navigation');
+    assert.equal(guardFor(['navigation'], backspace, { inInput: true }), null);
+
+    assert.equal(guardFor(['navigation'], env.key('Alt+ArrowLeft')), 'navigation');
+    assert.equal(guardFor(['navigation'], mac.key('Alt+ArrowLeft'), { onMac: true }), null);
+    assert.equal(guardFor(['navigation'], mac.key('Meta+['), { onMac: true }), 'navigation');
+    assert.equal(guardFor(['navigation'], env.key('Meta+[')), null);
+
+    const cmdLeft = mac.key('Meta+ArrowLeft');
+    assert.equal(guardFor(['navigation'], cmdLeft, { onMac: true }), 'navigation');
+    assert.equal(guardFor(['navigation'], cmdLeft, { onMac: true, inInput: true }), null);
+});
+
+test('print, find, save', () => {
+    assert.equal(guardFor(['print'], env.key('Ctrl+P')), 'print');
+    assert.equal(guardFor(['find'], env.key('F3')), 'find');
+    assert.equal(guardFor(['find'], env.key('Ctrl+Shift+G')), 'find');
+    assert.equal(guardFor(['save'], mac.key('Meta+S'), { onMac: true }), 'save');
+});
+
+test('selectAll only outside inputs', () => {
+    assert.equal(guardFor(['selectAll'], env.key('Ctrl+A')), 'selectAll');
+    assert.equal(guardFor(['selectAll'], env.key('Ctrl+A'), { inInput: true }), null);
+});
+
+test('devtools per platform', () => {
+    assert.equal(guardFor(['devtools'], env.key('F12')), 'devtools');
+    assert.equal(guardFor(['devtools'], env.key('Ctrl+Shift+I')), 'devtools');
+    assert.equal(guardFor(['devtools'], mac.key('Meta+Alt+I'), { onMac: true }), 'devtools');
+    assert.equal(guardFor(['devtools'], mac.key('Ctrl+Shift+I'), { onMac: true }), null);
+});
+
+test('Backspace in a text field passes through PageCement too', () => {
+    const page = createFakeEnv();
+    const input = page.create('input', { type: 'text' });
+    input.focus();
+    const cement = new PageCement({ window: page.window, guards: ['navigation'] });
+    cement.enable();
+    assert.equal(page.key('Backspace', input).defaultPrevented, false);
+    assert.equal(page.key('Backspace', page.document.body).defaultPrevented, true);
+    cement.disable();
+});
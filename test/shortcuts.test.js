@@ -0,0 +1,76 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+// Shortcut strings: parseShortcut() / matchShortcut()
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseShortcut, matchShortcut } from '../src/shortcuts.js';
+import { createFakeEnv } from '../src/testing.js';
+
+const env = createFakeEnv();
+const mac = createFakeEnv({ mac: true });
+const matches = (shortcut, event, opts) => matchShortcut(parseShortcut(shortcut, opts), event);
+
+test('unparseable strings give null', () => {
+    assert.equal(parseShortcut(''), null);
+    assert.equal(parseShortcut('Hyper+K'), null);
+    assert.equal(parseShortcut(42), null);
+});
+
+test('modifiers that are not listed must be up', () => {
+    assert.equal(matches('Ctrl+K', env.key('Ctrl+K')), true);
+    assert.equal(matches('Ctrl+K', env.key('Ctrl+Shift+K')), false);
+    assert.equal(matches('Ctrl+K', env.key('K')), false);
+    assert.equal(matches('F5', env.key('F5')), true);
+    assert.equal(matches('F5', env.key('Ctrl+F5')), false);
+});
+
+test('Mod is Cmd on macOS and Ctrl elsewhere', () => {
+    assert.equal(matches('Mod+R', env.key('Ctrl+R')), true);
+    assert.equal(matches('Mod+R', env.key('Meta+R')), false);
+    assert.equal(matches('Mod+R', mac.key('Meta+R'), { mac: true }), true);
+    assert.equal(matches('Mod+R', mac.key('Ctrl+R'), { mac: true }), false);
+});
+
+test("'Ctrl++' is the plus key, numpad and legacy spellings included", () => {
+    assert.equal(matches('Ctrl++', env.key('Ctrl++')), true);
+    assert.equal(matches('Ctrl++', env.key({ ctrlKey: true, key: '+', code: 'NumpadAdd' })), true);
+    assert.equal(matches('Ctrl++', env.key({ ctrlKey: true, key: 'Add', code: '' })), true);
+    assert.equal(matches('Ctrl+-', env.key({ ctrlKey: true, key: '-', code: 'NumpadSubtract' })), true);
+});
+
+test('Shift is "don\'t care" on symbols unless it is listed', () => {
+    // '+' needs Shift on a US layout, not on others
+    assert.equal(matches('Mod+=', env.key({ ctrlKey: true, shiftKey: true, key: '=', code: 'Digit0' })), true);
+    assert.equal(matches('Mod+=', env.key('Ctrl+=')), true);
+
+    // explicit Shift: the US key reports its shifted character
+    const usShiftEqual = env.key({ ctrlKey: true, shiftKey: true, key: '+', code: 'Equal' });
+    assert.equal(matches('Mod+Shift+=', usShiftEqual), true);
+    assert.equal(matches('Mod+Shift+=', env.key('Ctrl+=')), false);
+    assert.equal(matches('Ctrl+Shift+-', env.key({ ctrlKey: true, shiftKey: true, key: '_', code: 'Minus' })), true);
+});
+
+test('letters fall back to the physical key on non-Latin layouts', () => {
+    const cyrillicR = env.key({ ctrlKey: true, key: 'к', code: 'KeyR' });
+    assert.equal(matches('Mod+R', cyrillicR), true);
+    // a Latin layout that moves the letter goes by the character
+    assert.equal(matches('Mod+Z', env.key({ ctrlKey: true, key: 'y', code: 'KeyZ' })), false);
+    assert.equal(matches('Mod+Y', env.key({ ctrlKey: true, key: 'y', code: 'KeyZ' })), true);
+});
+
+test('codes name a position only', () => {
+    assert.equal(matches('Mod+KeyR', env.key({ ctrlKey: true, key: 'к', code: 'KeyR' })), true);
+    assert.equal(matches('Mod+KeyR', env.key({ ctrlKey: true, key: 'r', code: 'KeyT' })), false);
+});
+
+test('legacy { mods, key } objects compare e.key exactly', () => {
+    const sc = parseShortcut({ mods: { ctrl: true }, key: '=' });
+    assert.equal(matchShortcut(sc, env.key('Ctrl+=')), true);
+    assert.equal(matchShortcut(sc, env.key('Ctrl+Shift+=')), true);   // shift not listed: don't care
+    assert.equal(matchShortcut(sc, env.key('=')), false);
+});
@@ -0,0 +1,59 @@
+/*
+ * Copyright (c) 2025 m7.org
+ * License: MTL-10 (see LICENSE.md)
+ */
+
+// The fake environment itself
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createFakeEnv } from '../src/testing.js';
+
+test('events capture, bubble and honour passive listeners', () => {
+    const env = createFakeEnv();
+    const el = env.create('button', { id: 'go' });
+    const seen = [];
+    env.document.addEventListener('click', () => seen.push('capture'), { capture: true });
+    env.document.addEventListener('click', (e) => { seen.push('bubble'); e.preventDefault(); }, { passive: true });
+    el.addEventListener('click', () => seen.push('target'), { once: true });
+
+    assert.equal(env.dispatch(el, 'click').defaultPrevented, false);
+    env.dispatch(el, 'click');
+    assert.deepEqual(seen, ['capture', 'target', 'bubble', 'capture', 'bubble']);
+});
+
+test('selectors: tags, ids, classes, attributes and combinators', () => {
+    const env = createFakeEnv();
+    const list = env.create('ul', { class: 'menu main' });
+    const item = env.create('li', { 'data-kind': 'zoom-in' }, list);
+
+    assert.equal(env.document.querySelector('ul.menu > li[data-kind^="zoom"]'), item);
+    assert.equal(item.closest('.main'), list);
+    assert.equal(env.document.querySelectorAll('body li').length, 1);
+    assert.throws(() => env.document.querySelector('li:first-child'), SyntaxError);
+});
+
+test('frames wait for flush(), timers for advance()', () => {
+    const env = createFakeEnv();
+    const ran = [];
+    env.window.requestAnimationFrame(() => ran.push('frame'));
+    const id = env.window.setTimeout(() => ran.push('late'), 50);
+    env.window.setTimeout(() => ran.push('soon'), 10);
+    assert.deepEqual(ran, []);
+
+    env.flush();
+    env.advance(20);
+    assert.deepEqual(ran, ['frame', 'soon']);
+    env.window.clearTimeout(id);
+    env.advance(100);
+    assert.deepEqual(ran, ['frame', 'soon']);
+});
+
+test('showKeyboard() shrinks the visual viewport', () => {
+    const env = createFakeEnv({ width: 390, height: 844 });
+    env.showKeyboard(300);
+    assert.equal(env.visualViewport.height, 544);
+    env.hideKeyboard();
+    assert.equal(env.visualViewport.height, 844);
+});